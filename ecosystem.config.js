@@ -8,7 +8,9 @@ module.exports = {
     max_memory_restart: '1G',
     env: {
       NODE_ENV: 'production',
-      PORT: 3002
+      PORT: 3002,
+      COMPILE_CONCURRENCY: 2,
+      LOG_LEVEL: 'info'
     }
   }]
 }
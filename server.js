@@ -2,29 +2,669 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const { spawn } = require("child_process");
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { AsyncLocalStorage } = require("async_hooks");
+const { EventEmitter } = require("events");
 const fs = require("fs-extra");
 const path = require("path");
 const axios = require("axios");
 
+// Logging
+// Log lines are JSON objects on stdout: time, level, msg, the request and job
+// the line belongs to (carried through async calls by logContext) and the
+// fields passed with the message. LOG_LEVEL sets the minimum level (debug,
+// info, warn, error). Credentials and manuscript contents are never logged;
+// LOG_REDACT_FIELDS names further fields to replace with "[redacted]".
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = Object.prototype.hasOwnProperty.call(
+  LOG_LEVELS,
+  process.env.LOG_LEVEL
+)
+  ? process.env.LOG_LEVEL
+  : "info";
+const LOG_REDACTED_FIELDS = new Set([
+  "x-api-key",
+  "authorization",
+  "cookie",
+  "secret",
+  "secrethash",
+  "password",
+  "token",
+  "content",
+  "base64data",
+  "samplecontent",
+  "pdf",
+  ...(process.env.LOG_REDACT_FIELDS || "")
+    .split(",")
+    .map((field) => field.trim().toLowerCase())
+    .filter((field) => field),
+]);
+const logContext = new AsyncLocalStorage();
+
+function redactLogFields(value, depth = 0) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack };
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactLogFields(item, depth + 1));
+  }
+  if (!value || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+  if (depth > 6) {
+    return "[truncated]";
+  }
+  const redacted = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    redacted[field] = LOG_REDACTED_FIELDS.has(field.toLowerCase())
+      ? "[redacted]"
+      : redactLogFields(fieldValue, depth + 1);
+  }
+  return redacted;
+}
+
+function writeLog(level, msg, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+    return;
+  }
+  process.stdout.write(
+    `${JSON.stringify({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...logContext.getStore(),
+      ...redactLogFields(fields || {}),
+    })}\n`
+  );
+}
+
+const logger = {
+  debug: (msg, fields) => writeLog("debug", msg, fields),
+  info: (msg, fields) => writeLog("info", msg, fields),
+  warn: (msg, fields) => writeLog("warn", msg, fields),
+  error: (msg, fields) => writeLog("error", msg, fields),
+};
+
+// Metrics
+// Counters, gauges and histograms in the Prometheus text format, served at
+// GET /metrics ahead of API key authentication. Set METRICS_TOKEN to make
+// scrapers send "Authorization: Bearer <token>".
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+const metricRegistry = [];
+
+function registerMetric(type, name, help, options = {}) {
+  const metric = { type, name, help, series: new Map(), ...options };
+  metricRegistry.push(metric);
+  return metric;
+}
+
+// The series of a metric for one combination of label values
+function metricSeries(metric, labels, create) {
+  const key = JSON.stringify(
+    Object.keys(labels)
+      .sort()
+      .map((name) => [name, String(labels[name])])
+  );
+  if (!metric.series.has(key)) {
+    metric.series.set(key, { labels, ...create() });
+  }
+  return metric.series.get(key);
+}
+
+function counter(name, help) {
+  const metric = registerMetric("counter", name, help);
+  return {
+    inc(labels = {}, value = 1) {
+      metricSeries(metric, labels, () => ({ value: 0 })).value += value;
+    },
+  };
+}
+
+function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const metric = registerMetric("histogram", name, help, { buckets });
+  return {
+    observe(labels, value) {
+      const series = metricSeries(metric, labels, () => ({
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      }));
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          series.counts[index]++;
+        }
+      });
+      series.sum += value;
+      series.count++;
+    },
+  };
+}
+
+// Gauges are read when scraped: collect() returns [{ labels, value }]
+function gauge(name, help, collect) {
+  registerMetric("gauge", name, help, { collect });
+}
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+function renderMetrics() {
+  const lines = [];
+  for (const metric of metricRegistry) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    if (metric.type === "gauge") {
+      for (const { labels, value } of metric.collect()) {
+        lines.push(`${metric.name}${formatLabels(labels || {})} ${value}`);
+      }
+    } else if (metric.type === "counter") {
+      for (const { labels, value } of metric.series.values()) {
+        lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+      }
+    } else {
+      for (const { labels, counts, sum, count } of metric.series.values()) {
+        metric.buckets.forEach((bound, index) =>
+          lines.push(
+            `${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`
+          )
+        );
+        lines.push(
+          `${metric.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`
+        );
+        lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+      }
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+const metrics = {
+  httpRequests: counter(
+    "latex_http_requests_total",
+    "HTTP requests by method, route and status"
+  ),
+  httpDuration: histogram(
+    "latex_http_request_duration_seconds",
+    "HTTP request duration by method and route"
+  ),
+  compileJobs: counter(
+    "latex_compile_jobs_total",
+    "Finished compile jobs by status, template and engine"
+  ),
+  compileFailures: counter(
+    "latex_compile_failures_total",
+    "Failed or cancelled compile jobs by reason"
+  ),
+  compileDuration: histogram(
+    "latex_compile_duration_seconds",
+    "Running time of compile jobs by status"
+  ),
+  queueWait: histogram(
+    "latex_compile_queue_wait_seconds",
+    "Time compile jobs spent queued"
+  ),
+  passDuration: histogram(
+    "latex_compile_pass_duration_seconds",
+    "Duration of single build passes by tool and status"
+  ),
+  cacheLookups: counter(
+    "latex_compile_cache_lookups_total",
+    "Project cache lookups by result (hit, incremental, miss)"
+  ),
+  imageDownloads: counter(
+    "latex_image_downloads_total",
+    "Images fetched for compiles by source (url, base64, asset) and result"
+  ),
+  imageBytes: counter(
+    "latex_image_download_bytes_total",
+    "Bytes of images fetched for compiles by source"
+  ),
+  imageDuration: histogram(
+    "latex_image_download_duration_seconds",
+    "Duration of image downloads from URLs",
+    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+  ),
+  imageConversions: counter(
+    "latex_image_conversions_total",
+    "Images converted to a format TeX can include, by source format"
+  ),
+  webhookDeliveries: counter(
+    "latex_webhook_deliveries_total",
+    "Callback delivery attempts by result"
+  ),
+};
+
+const seconds = (from, to) => (to - from) / 1000;
+
 const app = express();
 app.use(
   cors({
-    exposedHeaders: ["X-LaTeX-Output"],
+    exposedHeaders: [
+      "X-LaTeX-Output",
+      "X-Job-Id",
+      "X-RateLimit-Limit",
+      "X-RateLimit-Remaining",
+      "X-RateLimit-Reset",
+      "Retry-After",
+      "X-Request-Id",
+    ],
   })
 );
 app.use(express.json({ limit: "50mb" }));
 
-// API Key Authentication
+// Every request gets an ID (the client's X-Request-Id if it is sane) that is
+// echoed back and attached to all log lines written while handling it
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+app.use((req, res, next) => {
+  const requestId = req.get("X-Request-Id");
+  req.id = REQUEST_ID_PATTERN.test(requestId || "")
+    ? requestId
+    : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const startedAt = Date.now();
+  res.on("finish", () => {
+    // Route patterns rather than paths keep the label values bounded
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    metrics.httpRequests.inc({
+      method: req.method,
+      route,
+      status: res.statusCode,
+    });
+    metrics.httpDuration.observe(
+      { method: req.method, route },
+      seconds(startedAt, Date.now())
+    );
+    logger.info("Request completed", {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      keyId: req.apiKey?.id,
+    });
+  });
+  logContext.run({ requestId: req.id }, next);
+});
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN && req.get("Authorization") !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// Health checks
+// Probes don't carry API keys, so these are registered ahead of
+// authentication. /healthz only says the process is serving requests;
+// /readyz also checks the TeX installation and the workspace (see
+// checkReadiness) and answers 503 until compiles can succeed.
+app.get("/healthz", (req, res) => {
+  res.json({ status: "ok", uptime: Math.round(process.uptime()) });
+});
+
+app.get("/readyz", async (req, res, next) => {
+  try {
+    const { ready, checks } = await checkReadiness();
+    res
+      .status(ready ? 200 : 503)
+      .json({ status: ready ? "ready" : "not ready", checks });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// API keys
+// Keys live in a JSON registry (API_KEYS_FILE). Only the SHA-256 of each
+// secret is stored; the secret itself is returned once, when the key is
+// created or rotated. Every key has scopes (compile, templates, admin), a
+// per-minute request limit, a cap on queued + running jobs and an optional
+// monthly compile-minute quota. LATEX_SERVICE_API_KEY, if set, is kept as the
+// "default" key with every scope so existing clients keep working.
+const API_KEYS_FILE =
+  process.env.API_KEYS_FILE ||
+  path.join(process.env.WORKSPACE_ROOT || "/opt/latexfiles", ".api-keys.json");
+const API_KEY_SCOPES = ["compile", "templates", "admin"];
+const API_KEY_DEFAULTS = {
+  requestsPerMinute:
+    parseInt(process.env.API_KEY_REQUESTS_PER_MINUTE, 10) || 120,
+  maxConcurrentJobs: parseInt(process.env.API_KEY_MAX_CONCURRENT_JOBS, 10) || 4,
+  // 0 means unlimited
+  monthlyCompileMinutes:
+    parseInt(process.env.API_KEY_MONTHLY_COMPILE_MINUTES, 10) || 0,
+};
+const API_KEY_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+const apiKeys = new Map(); // id -> key record
+const apiKeysByHash = new Map(); // sha256(secret) -> key record
+const rateLimitWindows = new Map(); // id -> { start, count }
+let apiKeysDirty = false;
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const generateSecret = (keyId) =>
+  `lsk_${keyId}_${crypto.randomBytes(24).toString("base64url")}`;
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+function indexApiKey(key) {
+  for (const [hash, indexed] of apiKeysByHash) {
+    if (indexed.id === key.id) {
+      apiKeysByHash.delete(hash);
+    }
+  }
+  apiKeys.set(key.id, key);
+  apiKeysByHash.set(key.secretHash, key);
+}
+
+async function saveApiKeys() {
+  apiKeysDirty = false;
+  await fs.mkdirp(path.dirname(API_KEYS_FILE));
+  const tempPath = `${API_KEYS_FILE}.${process.pid}.tmp`;
+  await fs.writeJson(tempPath, { keys: [...apiKeys.values()] }, { spaces: 2 });
+  await fs.move(tempPath, API_KEYS_FILE, { overwrite: true });
+}
+
+function loadApiKeys() {
+  if (fs.pathExistsSync(API_KEYS_FILE)) {
+    for (const key of fs.readJsonSync(API_KEYS_FILE).keys || []) {
+      indexApiKey(key);
+    }
+  }
+
+  const legacyKey = process.env.LATEX_SERVICE_API_KEY;
+  if (legacyKey) {
+    const existing = apiKeys.get("default");
+    indexApiKey({
+      ...newApiKeyRecord("default", { name: "LATEX_SERVICE_API_KEY" }),
+      ...existing,
+      scopes: API_KEY_SCOPES,
+      secretHash: hashSecret(legacyKey),
+    });
+  }
+
+  const active = [...apiKeys.values()].filter((key) => !key.revokedAt);
+  if (active.length === 0) {
+    logger.warn(
+      "No API keys configured: set LATEX_SERVICE_API_KEY or add keys to the registry",
+      { file: API_KEYS_FILE }
+    );
+  }
+  logger.info("Loaded API keys", { active: active.length });
+}
+
+function newApiKeyRecord(id, options) {
+  return {
+    id,
+    name: options.name || id,
+    scopes: options.scopes || ["compile", "templates"],
+    requestsPerMinute:
+      options.requestsPerMinute ?? API_KEY_DEFAULTS.requestsPerMinute,
+    maxConcurrentJobs:
+      options.maxConcurrentJobs ?? API_KEY_DEFAULTS.maxConcurrentJobs,
+    monthlyCompileMinutes:
+      options.monthlyCompileMinutes ?? API_KEY_DEFAULTS.monthlyCompileMinutes,
+    secretHash: null,
+    createdAt: new Date(),
+    rotatedAt: null,
+    revokedAt: null,
+    usage: { requests: 0, jobs: 0, compileSeconds: 0, lastUsedAt: null },
+    monthlyUsage: {},
+  };
+}
+
+// Public view of a key record: everything but the secret hash
+function serializeApiKey(key) {
+  const { secretHash, ...view } = key;
+  const month = key.monthlyUsage[currentMonth()] || {
+    jobs: 0,
+    compileSeconds: 0,
+  };
+  return {
+    ...view,
+    currentMonth: {
+      ...month,
+      compileMinutes: Math.round((month.compileSeconds / 60) * 100) / 100,
+    },
+  };
+}
+
+// Returns an error message if admin supplied key options are unusable
+function validateApiKeyOptions(options) {
+  const { scopes } = options;
+  if (
+    scopes !== undefined &&
+    (!Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      scopes.some((scope) => !API_KEY_SCOPES.includes(scope)))
+  ) {
+    return `scopes must be a non-empty list of ${API_KEY_SCOPES.join(", ")}`;
+  }
+  for (const name of Object.keys(API_KEY_DEFAULTS)) {
+    const value = options[name];
+    if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+      return `${name} must be a non-negative integer`;
+    }
+  }
+  if (options.name !== undefined && typeof options.name !== "string") {
+    return "name must be a string";
+  }
+  return null;
+}
+
+// Fixed one-minute window per key
+function checkRateLimit(key, res) {
+  const now = Date.now();
+  let window = rateLimitWindows.get(key.id);
+  if (!window || now - window.start >= 60 * 1000) {
+    window = { start: now, count: 0 };
+    rateLimitWindows.set(key.id, window);
+  }
+  window.count++;
+
+  const resetSeconds = Math.ceil((window.start + 60 * 1000 - now) / 1000);
+  res.set("X-RateLimit-Limit", String(key.requestsPerMinute));
+  res.set(
+    "X-RateLimit-Remaining",
+    String(Math.max(0, key.requestsPerMinute - window.count))
+  );
+  res.set("X-RateLimit-Reset", String(resetSeconds));
+  if (key.requestsPerMinute > 0 && window.count > key.requestsPerMinute) {
+    res.set("Retry-After", String(resetSeconds));
+    return false;
+  }
+  return true;
+}
+
 const authenticateApiKey = (req, res, next) => {
   const apiKey = req.headers["x-api-key"];
-  if (apiKey !== process.env.LATEX_SERVICE_API_KEY) {
+  const key = apiKey && apiKeysByHash.get(hashSecret(apiKey));
+  if (!key || key.revokedAt) {
     return res.status(401).json({ error: "Unauthorized" });
   }
+  if (!checkRateLimit(key, res)) {
+    return res.status(429).json({ error: "Rate limit exceeded" });
+  }
+
+  key.usage.requests++;
+  key.usage.lastUsedAt = new Date();
+  apiKeysDirty = true;
+  req.apiKey = key;
+  next();
+};
+
+// Route guard for keys that lack a scope
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+  }
   next();
 };
 
+/**
+ * Checks whether a key may start another compile job
+ * @param {Object} key - Key record of the caller
+ * @returns {string|null} - Reason the job is refused, or null
+ */
+function checkJobQuota(key) {
+  const pending = [...jobs.values()].filter(
+    (job) =>
+      job.clientId === key.id &&
+      (job.status === "queued" || job.status === "running")
+  ).length;
+  if (key.maxConcurrentJobs > 0 && pending >= key.maxConcurrentJobs) {
+    return `Concurrent job quota exceeded: ${pending} of ${key.maxConcurrentJobs} jobs queued or running`;
+  }
+
+  const month = key.monthlyUsage[currentMonth()];
+  if (
+    key.monthlyCompileMinutes > 0 &&
+    month &&
+    month.compileSeconds >= key.monthlyCompileMinutes * 60
+  ) {
+    return `Monthly compile quota of ${key.monthlyCompileMinutes} minutes used up`;
+  }
+  return null;
+}
+
+// Charges a finished job's running time to the key that submitted it
+function recordCompileUsage(job) {
+  const key = apiKeys.get(job.clientId);
+  if (!key || !job.startedAt) {
+    return;
+  }
+
+  const seconds = (job.finishedAt - job.startedAt) / 1000;
+  const month = currentMonth();
+  key.monthlyUsage[month] = key.monthlyUsage[month] || {
+    jobs: 0,
+    compileSeconds: 0,
+  };
+  key.usage.jobs++;
+  key.usage.compileSeconds += seconds;
+  key.monthlyUsage[month].jobs++;
+  key.monthlyUsage[month].compileSeconds += seconds;
+  apiKeysDirty = true;
+}
+
+loadApiKeys();
+
+// Usage counters change on every request, so they are flushed periodically
+setInterval(() => {
+  if (apiKeysDirty) {
+    saveApiKeys().catch((error) =>
+      logger.warn("Error saving API keys", { error })
+    );
+  }
+}, 30 * 1000).unref();
+
 app.use(authenticateApiKey);
 
+app.get("/usage", (req, res) => {
+  res.json(serializeApiKey(req.apiKey));
+});
+
+app.get("/admin/keys", requireScope("admin"), (req, res) => {
+  res.json({ keys: [...apiKeys.values()].map(serializeApiKey) });
+});
+
+app.post("/admin/keys", requireScope("admin"), async (req, res, next) => {
+  const options = req.body || {};
+  const id = options.id || crypto.randomBytes(6).toString("hex");
+  if (typeof id !== "string" || !API_KEY_ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: `Invalid key id: ${id}` });
+  }
+  if (apiKeys.has(id)) {
+    return res.status(409).json({ error: `Key already exists: ${id}` });
+  }
+  const optionsError = validateApiKeyOptions(options);
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
+  }
+
+  try {
+    const secret = generateSecret(id);
+    const key = {
+      ...newApiKeyRecord(id, options),
+      secretHash: hashSecret(secret),
+    };
+    indexApiKey(key);
+    await saveApiKeys();
+    logger.info("Created API key", { keyId: id, scopes: key.scopes });
+    res.status(201).json({ ...serializeApiKey(key), key: secret });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/admin/keys/:id", requireScope("admin"), (req, res) => {
+  const key = apiKeys.get(req.params.id);
+  if (!key) {
+    return res.status(404).json({ error: "Key not found" });
+  }
+  res.json(serializeApiKey(key));
+});
+
+app.post(
+  "/admin/keys/:id/rotate",
+  requireScope("admin"),
+  async (req, res, next) => {
+    const key = apiKeys.get(req.params.id);
+    if (!key || key.revokedAt) {
+      return res.status(404).json({ error: "Key not found" });
+    }
+    if (key.id === "default" && process.env.LATEX_SERVICE_API_KEY) {
+      return res.status(409).json({
+        error: "The default key is set by LATEX_SERVICE_API_KEY",
+      });
+    }
+
+    try {
+      const secret = generateSecret(key.id);
+      indexApiKey({
+        ...key,
+        secretHash: hashSecret(secret),
+        rotatedAt: new Date(),
+      });
+      await saveApiKeys();
+      logger.info("Rotated API key", { keyId: key.id });
+      res.json({ ...serializeApiKey(apiKeys.get(key.id)), key: secret });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.delete("/admin/keys/:id", requireScope("admin"), async (req, res, next) => {
+  const key = apiKeys.get(req.params.id);
+  if (!key) {
+    return res.status(404).json({ error: "Key not found" });
+  }
+
+  try {
+    key.revokedAt = key.revokedAt || new Date();
+    await saveApiKeys();
+    logger.info("Revoked API key", { keyId: key.id });
+    res.json(serializeApiKey(key));
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Add this helper function to format LaTeX output
 function formatLatexOutput(stdout) {
   // Split into lines and filter out empty ones
@@ -43,7 +683,7 @@ function formatLatexOutput(stdout) {
       if (
         line.includes("texmf-dist") ||
         line.includes("geometry driver") ||
-        line.includes("restricted \\write18 enabled")
+        /\\write18 (?:enabled|disabled)/.test(line)
       ) {
         return acc;
       }
@@ -65,623 +705,8095 @@ function formatLatexOutput(stdout) {
 
   return formatted;
 }
+// Image fetching
+// Remote images are only fetched from public addresses: every address a
+// host resolves to (including after redirects) is checked against the
+// private/reserved ranges below, and IMAGE_HOST_ALLOWLIST /
+// IMAGE_HOST_DENYLIST take comma separated host names ("*.example.com"
+// matches subdomains). The format is sniffed from the bytes, and formats
+// TeX engines can't include are converted to PNG or PDF.
+const IMAGE_HOST_ALLOWLIST = (process.env.IMAGE_HOST_ALLOWLIST || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter((host) => host);
+const IMAGE_HOST_DENYLIST = (process.env.IMAGE_HOST_DENYLIST || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter((host) => host);
+const IMAGE_ALLOW_PRIVATE_NETWORKS =
+  process.env.IMAGE_ALLOW_PRIVATE_NETWORKS === "true";
+const IMAGE_MAX_BYTES =
+  parseInt(process.env.IMAGE_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const IMAGE_CONVERT_COMMAND = process.env.IMAGE_CONVERT_COMMAND || "convert";
+const SVG_CONVERT_COMMAND = process.env.SVG_CONVERT_COMMAND || "rsvg-convert";
+
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["100::", 64],
+  ["2001:db8::", 32],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv6")
+);
+
+// Formats pdflatex/xelatex/lualatex include directly
+const TEX_IMAGE_FORMATS = ["png", "jpeg", "pdf", "eps"];
+
+// Formats that are converted, and what they are converted to
+const IMAGE_CONVERSIONS = {
+  svg: "pdf",
+  webp: "png",
+  gif: "png",
+  heic: "png",
+  avif: "png",
+  tiff: "png",
+  bmp: "png",
+};
+
+const IMAGE_EXTENSIONS = {
+  png: ".png",
+  jpeg: ".jpg",
+  pdf: ".pdf",
+  eps: ".eps",
+};
+
+function isBlockedAddress(
+  address,
+  allowPrivate = IMAGE_ALLOW_PRIVATE_NETWORKS
+) {
+  if (allowPrivate) {
+    return false;
+  }
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return blockedAddresses.check(mapped[1], "ipv4");
+  }
+  return blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+function hostMatches(hostname, pattern) {
+  return pattern.startsWith("*.")
+    ? hostname.endsWith(pattern.slice(1))
+    : hostname === pattern;
+}
+
+// Image URLs may carry access tokens in the query string; log without it
+function loggableUrl(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${pathname}`;
+  } catch (error) {
+    return "[invalid URL]";
+  }
+}
+
+// Throws if an image URL may not be fetched; called for redirects too
+function checkImageUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new Error(`Unsupported image URL protocol: ${parsed.protocol}`);
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (IMAGE_HOST_DENYLIST.some((pattern) => hostMatches(hostname, pattern))) {
+    throw new Error(`Image host is denied: ${hostname}`);
+  }
+  if (
+    IMAGE_HOST_ALLOWLIST.length > 0 &&
+    !IMAGE_HOST_ALLOWLIST.some((pattern) => hostMatches(hostname, pattern))
+  ) {
+    throw new Error(`Image host is not allowed: ${hostname}`);
+  }
+  // Literal addresses never go through DNS, so check them here
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new Error(`Image host resolves to a private address: ${hostname}`);
+  }
+}
+
+// DNS lookup for outgoing requests that refuses private and reserved
+// addresses unless allowPrivate is set
+const publicOnlyLookup = (allowPrivate) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) {
+      return callback(err);
+    }
+    const blocked = addresses.find(({ address }) =>
+      isBlockedAddress(address, allowPrivate)
+    );
+    if (blocked) {
+      return callback(
+        new Error(
+          `Host ${hostname} resolves to a private address: ${blocked.address}`
+        )
+      );
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const imageHttpAgent = new http.Agent({
+  lookup: publicOnlyLookup(IMAGE_ALLOW_PRIVATE_NETWORKS),
+});
+const imageHttpsAgent = new https.Agent({
+  lookup: publicOnlyLookup(IMAGE_ALLOW_PRIVATE_NETWORKS),
+});
+
+/**
+ * Identifies an image format from its leading bytes
+ * @param {Buffer} buffer - Image data
+ * @returns {string|null} - Format name, or null if it isn't a known image format
+ */
+function sniffImageFormat(buffer) {
+  const ascii = (start, end) => buffer.toString("latin1", start, end);
+  const hex = (start, end) => buffer.toString("hex", start, end);
+
+  if (hex(0, 8) === "89504e470d0a1a0a") {
+    return "png";
+  }
+  if (hex(0, 3) === "ffd8ff") {
+    return "jpeg";
+  }
+  if (ascii(0, 5) === "%PDF-") {
+    return "pdf";
+  }
+  if (ascii(0, 4) === "%!PS" || hex(0, 4) === "c5d0d3c6") {
+    return "eps";
+  }
+  if (ascii(0, 6) === "GIF87a" || ascii(0, 6) === "GIF89a") {
+    return "gif";
+  }
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP") {
+    return "webp";
+  }
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    if (["avif", "avis"].includes(brand)) {
+      return "avif";
+    }
+    if (
+      ["heic", "heix", "hevc", "heim", "heis", "mif1", "msf1"].includes(brand)
+    ) {
+      return "heic";
+    }
+  }
+  if (ascii(0, 4) === "II*\0" || ascii(0, 4) === "MM\0*") {
+    return "tiff";
+  }
+  if (ascii(0, 2) === "BM") {
+    return "bmp";
+  }
+  const text = buffer.toString("utf8", 0, 1024).trimStart();
+  if (
+    /^(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*(?:<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(
+      text
+    )
+  ) {
+    return "svg";
+  }
+  return null;
+}
+
+/**
+ * Converts an image TeX can't include into PNG or PDF next to the original
+ * @param {string} inputPath - Path of the downloaded image
+ * @param {string} format - Sniffed format of the image
+ * @param {AbortSignal} [signal] - Stops the converter when the job is aborted
+ * @returns {Promise<string>} - Path of the converted file
+ */
+async function convertImage(inputPath, format, signal) {
+  const targetFormat = IMAGE_CONVERSIONS[format];
+  const outputPath = inputPath.replace(
+    /(\.[^./]+)?$/,
+    IMAGE_EXTENSIONS[targetFormat]
+  );
+  // Keep the original under a temporary name while converting in place
+  const sourcePath = `${inputPath}.${format}-source`;
+  await fs.move(inputPath, sourcePath, { overwrite: true });
+
+  try {
+    const conversion =
+      format === "svg"
+        ? await runCommand(
+            SVG_CONVERT_COMMAND,
+            ["-f", "pdf", "-o", outputPath, sourcePath],
+            { signal }
+          )
+        : await runCommand(
+            IMAGE_CONVERT_COMMAND,
+            // First frame only for animations
+            [`${format}:${sourcePath}[0]`, `png:${outputPath}`],
+            { signal }
+          );
+    if (conversion.code !== 0) {
+      throw new Error(
+        `Conversion from ${format} to ${targetFormat} failed: ${conversion.stderr.trim()}`
+      );
+    }
+    return outputPath;
+  } finally {
+    await fs.remove(sourcePath);
+  }
+}
+
+/**
+ * Fetches an image URL with SSRF protection
+ * @param {string} url - Client supplied image URL
+ * @param {AbortSignal} [signal] - Cancels the download when the job is aborted
+ * @returns {Promise<Object>} - axios response with an arraybuffer body
+ */
+async function fetchImage(url, signal) {
+  checkImageUrl(url);
+  return axios({
+    method: "GET",
+    url: url,
+    signal,
+    responseType: "arraybuffer",
+    timeout: 30000, // 30 second timeout
+    maxContentLength: IMAGE_MAX_BYTES,
+    maxRedirects: 5,
+    beforeRedirect: (options) => checkImageUrl(options.href),
+    httpAgent: imageHttpAgent,
+    httpsAgent: imageHttpsAgent,
+    proxy: false,
+    validateStatus: false, // Don't throw on any status code
+  });
+}
 
 /**
  * Downloads or extracts images for LaTeX compilation
  * @param {Object} imageReferences - Map of image references with URLs and file info
  * @param {string} targetDir - Directory to save downloaded images
- * @returns {Promise<Object>} - Results of image processing
+ * @param {Function} [onResult] - Called with the outcome of each image as it completes
+ * @param {AbortSignal} [signal] - Stops downloads and conversions; the
+ * returned promise then rejects with the abort reason
+ * @returns {Promise<Object>} - Counts plus the result of every image
  */
-async function downloadImages(imageReferences, targetDir) {
+async function downloadImages(imageReferences, targetDir, onResult, signal) {
   if (!imageReferences || Object.keys(imageReferences).length === 0) {
-    console.log("No image references to download");
-    return { successful: 0, failed: 0 };
+    return { successful: 0, failed: 0, images: [] };
   }
 
-  console.log(
-    `Processing ${Object.keys(imageReferences).length} images for ${targetDir}`
-  );
-
   // Create images directory
   const imagesDir = path.join(targetDir, "images");
   await fs.mkdirp(imagesDir);
-  console.log(`Created images directory at: ${imagesDir}`);
-
-  // Log all image references for debugging
-  console.log(
-    "Image references to process:",
-    Object.entries(imageReferences)
-      .map(([id, img]) => `${id} -> ${img.filename || "unnamed"}`)
-      .join(", ")
-  );
+  logger.debug("Processing images", {
+    images: Object.keys(imageReferences).length,
+    imagesDir,
+  });
 
   // Process each image (either from URL or base64)
   const processPromises = Object.entries(imageReferences).map(
     async ([key, image]) => {
-      const {
-        id,
-        url,
-        filename,
-        base64Data,
-        contentType,
-        originalSize,
-        compressedSize,
-      } = image;
+      const { id, url, filename, base64Data, hash } = image;
 
       // Ensure we have a valid filename that matches the key exactly
       const safeKey = key.replace(/[^a-zA-Z0-9]/g, "_");
       const outputFilename = filename || `${safeKey}.jpg`;
-      const outputPath = path.join(imagesDir, outputFilename);
-
-      console.log(
-        `Processing image ${id} (key: ${key}) with target path: ${outputPath}`
-      );
 
+      let source = "url";
       try {
-        // If we have base64 data, use that instead of downloading
-        if (base64Data) {
-          console.log(
-            `Using provided base64 data for image ${id} (${base64Data.length} bytes)`
-          );
-
-          try {
-            // Decode base64 to buffer
-            const imageBuffer = Buffer.from(base64Data, "base64");
+        const outputPath = resolveProjectPath(imagesDir, outputFilename);
+        let imageBuffer;
 
-            // Check if the buffer is valid
-            if (imageBuffer.length === 0) {
-              throw new Error("Empty buffer after base64 decoding");
-            }
+        // Prefer a stored asset, then inline base64 data, then the URL
+        if (hash) {
+          source = "asset";
+          imageBuffer = await readAsset(hash);
+        } else if (base64Data) {
+          source = "base64";
+          imageBuffer = Buffer.from(base64Data, "base64");
 
-            // Write to file
-            await fs.writeFile(outputPath, imageBuffer);
-            console.log(
-              `Successfully saved base64 image to ${outputPath} (${imageBuffer.length} bytes)`
-            );
-
-            // Verify the file was written
-            const fileExists = await fs.pathExists(outputPath);
-            const fileSize = fileExists ? (await fs.stat(outputPath)).size : 0;
-            console.log(
-              `File verification: exists=${fileExists}, size=${fileSize} bytes`
+          // Check if the buffer is valid
+          if (imageBuffer.length === 0) {
+            throw new Error(
+              "Failed to decode base64 data: Empty buffer after base64 decoding"
             );
+          }
+        } else {
+          const startTime = Date.now();
+          const response = await fetchImage(url, signal);
+          metrics.imageDuration.observe({}, seconds(startTime, Date.now()));
+          logger.debug("Image downloaded", {
+            imageId: id,
+            url: loggableUrl(url),
+            status: response.status,
+            contentType: response.headers["content-type"],
+            bytes: response.data?.length || 0,
+            durationMs: Date.now() - startTime,
+          });
 
-            return {
-              id,
-              key,
-              success: true,
-              path: outputPath,
-              size: imageBuffer.length,
-            };
-          } catch (decodeError) {
-            console.error(
-              `Error decoding base64 data for image ${id}:`,
-              decodeError
-            );
+          // Check for valid image response
+          if (response.status !== 200) {
             throw new Error(
-              `Failed to decode base64 data: ${decodeError.message}`
+              `HTTP status ${response.status}: ${response.statusText}`
             );
           }
+          imageBuffer = Buffer.from(response.data);
+        }
+
+        // Trust the bytes, not the Content-Type header or file extension
+        const format = sniffImageFormat(imageBuffer);
+        if (!format) {
+          throw new Error("Data is not a supported image format");
+        }
+
+        await fs.mkdirp(path.dirname(outputPath));
+        await fs.writeFile(outputPath, imageBuffer);
+        metrics.imageDownloads.inc({ source, result: "success" });
+        metrics.imageBytes.inc({ source }, imageBuffer.length);
+
+        const result = {
+          id,
+          key,
+          success: true,
+          filename: path.relative(imagesDir, outputPath),
+          format,
+          size: imageBuffer.length,
+        };
+
+        if (!TEX_IMAGE_FORMATS.includes(format)) {
+          const convertedPath = await convertImage(outputPath, format, signal);
+          result.filename = path.relative(imagesDir, convertedPath);
+          result.convertedFrom = format;
+          result.format = IMAGE_CONVERSIONS[format];
+          result.size = (await fs.stat(convertedPath)).size;
+          metrics.imageConversions.inc({ from: format });
         }
 
-        // Otherwise try URL download as before
-        console.log(`Downloading image ${id} from URL: ${url}`);
-        console.log(`Target path: ${outputPath}`);
-
-        const startTime = Date.now();
-        const response = await axios({
-          method: "GET",
-          url: url,
-          responseType: "arraybuffer",
-          timeout: 30000, // 30 second timeout
-          maxContentLength: 10 * 1024 * 1024, // 10MB limit
-          validateStatus: false, // Don't throw on any status code
+        return result;
+      } catch (error) {
+        // An aborted job fails as a whole instead of losing one image
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+        metrics.imageDownloads.inc({ source, result: "failure" });
+        logger.warn("Failed to process image", {
+          imageId: id,
+          key,
+          source,
+          url: source === "url" ? loggableUrl(url) : undefined,
+          error: error.message,
         });
-        const duration = Date.now() - startTime;
 
-        // Log the response details
-        console.log(`Response received for image ${id} after ${duration}ms:`);
-        console.log(`  Status: ${response.status} ${response.statusText}`);
-        console.log(`  Content Type: ${response.headers["content-type"]}`);
-        console.log(`  Content Length: ${response.data?.length || 0} bytes`);
+        return { id, key, success: false, error: error.message };
+      }
+    }
+  );
+
+  // Report each image as soon as it is done
+  if (onResult) {
+    for (const promise of processPromises) {
+      // Rejections only come from an abort, which Promise.all reports
+      promise.then(onResult, () => {});
+    }
+  }
+
+  // Wait for all downloads to complete
+  const images = await Promise.all(processPromises);
+
+  // Summarize results
+  const successful = images.filter((image) => image.success).length;
+  const failed = images.length - successful;
+
+  logger.info("Images processed", { successful, failed });
+  return { successful, failed, images };
+}
+
+// Journal template library
+// Each template names the files from its directory in this repo that have to
+// sit next to the manuscript for it to compile: class, styles, bst files,
+// logos and thumbnails. Sample documents and example figures are not staged.
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || __dirname;
+const TEMPLATES = {
+  mdpi: {
+    name: "MDPI",
+    description: "MDPI journal article class (pdftex)",
+    directory: "mdpi",
+    documentClass: "Definitions/mdpi",
+    engine: "pdflatex",
+    sample: "template.tex",
+    assets: ["Definitions"],
+  },
+  "elsevier-dc": {
+    name: "Elsevier CAS double column",
+    description: "Elsevier complex article service (CAS) double column class",
+    directory: "elsevier-dc",
+    documentClass: "cas-dc",
+    sample: "cas-dc-template.tex",
+    assets: [
+      "cas-dc.cls",
+      "cas-common.sty",
+      "model1-num-names.bst",
+      "thumbnails",
+    ],
+  },
+};
+
+const isKnownTemplate = (templateId) =>
+  Object.prototype.hasOwnProperty.call(TEMPLATES, templateId);
+
+const TEMPLATE_ASSET_TYPES = {
+  ".cls": "class",
+  ".sty": "style",
+  ".bst": "bibliography-style",
+  ".tex": "definitions",
+  ".eps": "logo",
+  ".pdf": "logo",
+  ".jpeg": "thumbnail",
+  ".jpg": "thumbnail",
+  ".png": "thumbnail",
+};
+
+/**
+ * Lists the files a template stages into the working directory
+ * @param {string} templateId - Key in TEMPLATES
+ * @returns {Promise<Object[]>} - Relative path, asset type and size of each file
+ */
+async function listTemplateAssets(templateId) {
+  const template = TEMPLATES[templateId];
+  const templateRoot = path.join(TEMPLATES_DIR, template.directory);
+  const assets = [];
+
+  const walk = async (relativePath) => {
+    const absolutePath = path.join(templateRoot, relativePath);
+    const stats = await fs.stat(absolutePath);
+    if (stats.isDirectory()) {
+      for (const entry of (await fs.readdir(absolutePath)).sort()) {
+        await walk(path.posix.join(relativePath, entry));
+      }
+      return;
+    }
+    assets.push({
+      path: relativePath,
+      type:
+        TEMPLATE_ASSET_TYPES[path.extname(relativePath).toLowerCase()] ||
+        "other",
+      size: stats.size,
+    });
+  };
+
+  for (const asset of template.assets) {
+    await walk(asset);
+  }
+  return assets;
+}
+
+/**
+ * Copies a template's class, style, bst and image assets into a directory
+ * @param {string} templateId - Key in TEMPLATES
+ * @param {string} targetDir - Directory the manuscript is compiled in
+ * @returns {Promise<string[]>} - Staged paths relative to targetDir
+ */
+async function stageTemplate(templateId, targetDir) {
+  const template = TEMPLATES[templateId];
+  const templateRoot = path.join(TEMPLATES_DIR, template.directory);
+
+  for (const asset of template.assets) {
+    await fs.copy(path.join(templateRoot, asset), path.join(targetDir, asset), {
+      overwrite: false,
+    });
+  }
+
+  const staged = (await listTemplateAssets(templateId)).map(
+    (asset) => asset.path
+  );
+  logger.debug("Staged template", { templateId, files: staged.length });
+  return staged;
+}
+
+async function describeTemplate(templateId) {
+  const template = TEMPLATES[templateId];
+  return {
+    id: templateId,
+    name: template.name,
+    description: template.description,
+    documentClass: template.documentClass,
+    engine: template.engine || DEFAULT_TEX_ENGINE,
+    sample: template.sample,
+    assets: await listTemplateAssets(templateId),
+  };
+}
+
+app.get("/templates", requireScope("templates"), async (req, res, next) => {
+  try {
+    const templates = [];
+    for (const templateId of Object.keys(TEMPLATES)) {
+      templates.push(await describeTemplate(templateId));
+    }
+    res.json({ templates });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/templates/:id", requireScope("templates"), async (req, res, next) => {
+  if (!isKnownTemplate(req.params.id)) {
+    return res.status(404).json({ error: "Template not found" });
+  }
+
+  try {
+    const template = TEMPLATES[req.params.id];
+    const sampleContent = await fs.readFile(
+      path.join(TEMPLATES_DIR, template.directory, template.sample),
+      "utf-8"
+    );
+    res.json({ ...(await describeTemplate(req.params.id)), sampleContent });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Manuscript metadata
+// Title, authors, affiliations, ORCIDs, abstract, keywords, funding and data
+// availability as JSON, rendered into the front matter macros of a template
+// (\Author/\address/\corres for MDPI, \author/\affiliation/\cormark for CAS)
+// and checked against what that publisher requires. POST /metadata/render
+// returns the LaTeX; POST /import uses the same renderers.
+//
+//   { title, shortTitle, abstract, keywords: [], highlights: [],
+//     authors: [{ name, givenName, familyName, affiliations: [1, "id"],
+//                 email, orcid, corresponding }],
+//     affiliations: ["Org", { id, department, organization, address, city,
+//                             postcode, state, country }],
+//     funding: "statement" | [{ funder, grant }], dataAvailability,
+//     journal, articleType }                             (the last two MDPI only)
+const METADATA_AFFILIATION_FIELDS = [
+  "department",
+  "organization",
+  "address",
+  "city",
+  "postcode",
+  "state",
+  "country",
+];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ORCID_PATTERN = /^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/;
+// mdpi.cls defines \orcidA to \orcidZ
+const MDPI_MAX_ORCIDS = 26;
+
+// Commands metadata may use inside $...$; anything else is escaped as text
+const TEX_MATH_COMMANDS = new Set([
+  ...["alpha", "beta", "gamma", "delta", "epsilon", "varepsilon", "zeta"],
+  ...["eta", "theta", "vartheta", "iota", "kappa", "lambda", "mu", "nu"],
+  ...["xi", "pi", "rho", "sigma", "tau", "upsilon", "phi", "varphi", "chi"],
+  ...["psi", "omega", "Gamma", "Delta", "Theta", "Lambda", "Xi", "Pi"],
+  ...["Sigma", "Upsilon", "Phi", "Psi", "Omega"],
+  ...["pm", "mp", "times", "cdot", "div", "circ", "leq", "geq", "neq"],
+  ...["approx", "sim", "simeq", "equiv", "propto", "infty", "partial"],
+  ...["nabla", "prime", "ldots", "cdots", "to", "rightarrow", "leftarrow"],
+  ...["leftrightarrow", "uparrow", "downarrow", "dagger", "ddagger"],
+  ...["mathrm", "mathit", "mathbf", "mathcal", "text", "frac", "sqrt"],
+  ...["sum", "prod", "int", "log", "ln", "exp", "sin", "cos", "tan"],
+  ...[",", ";", "!"],
+]);
+const TEX_MATH_CHARACTERS = /^[A-Za-z0-9\s+\-=*/()[\]<>|.,;:!'^_{}]*$/;
+
+// Whether a $...$ span only uses whitelisted commands and balanced braces
+function isSafeTexMath(math) {
+  const body = math.slice(1, -1);
+  // ^^5c and friends spell arbitrary characters, backslash included
+  if (body.includes("^^")) {
+    return false;
+  }
+  const commands = body.match(/\\([A-Za-z]+|.)/gs) || [];
+  if (!commands.every((command) => TEX_MATH_COMMANDS.has(command.slice(1)))) {
+    return false;
+  }
+  if (!TEX_MATH_CHARACTERS.test(body.replace(/\\([A-Za-z]+|.)/gs, " "))) {
+    return false;
+  }
+  let depth = 0;
+  for (const character of body) {
+    depth += character === "{" ? 1 : character === "}" ? -1 : 0;
+    if (depth < 0) {
+      return false;
+    }
+  }
+  return depth === 0;
+}
+
+// Escapes text for LaTeX, keeping $...$ math that passes isSafeTexMath
+function texText(value) {
+  return String(value ?? "")
+    .split(/(\$[^$]+\$)/)
+    .map((part, index) =>
+      index % 2 === 1 && isSafeTexMath(part)
+        ? part
+        : part
+            .replace(/\\/g, "\0")
+            .replace(/([{}#%&_$])/g, "\\$1")
+            .replace(/\^/g, "\\^{}")
+            .replace(/~/g, "\\~{}")
+            .replace(/\0/g, "\\textbackslash{}")
+    )
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+const optionalString = (value) =>
+  value === undefined || value === null || value === ""
+    ? undefined
+    : String(value).trim();
+
+// ORCID iDs end in an ISO 7064 MOD 11-2 check character
+function isValidOrcid(orcid) {
+  if (!ORCID_PATTERN.test(orcid)) {
+    return false;
+  }
+  const digits = orcid.replace(/-/g, "");
+  let total = 0;
+  for (const digit of digits.slice(0, -1)) {
+    total = (total + Number(digit)) * 2;
+  }
+  const check = (12 - (total % 11)) % 11;
+  return digits.slice(-1) === (check === 10 ? "X" : String(check));
+}
+
+const metadataProblem = (field, severity, message) => ({
+  field,
+  severity,
+  message,
+});
+
+/**
+ * Brings metadata into the shape the template renderers use: affiliations
+ * as objects, and author affiliations as 1-based indexes into that list
+ * @param {Object} input - Metadata as sent, or parsed from front matter
+ * @returns {Object} - { metadata, problems }
+ */
+function normalizeMetadata(input) {
+  const problems = [];
+
+  const affiliations = toList(input.affiliations).map((affiliation) => {
+    if (affiliation && typeof affiliation === "object") {
+      const normalized = { id: optionalString(affiliation.id) };
+      for (const field of METADATA_AFFILIATION_FIELDS) {
+        normalized[field] = optionalString(affiliation[field]);
+      }
+      normalized.organization =
+        normalized.organization ?? optionalString(affiliation.name);
+      return normalized;
+    }
+    return { organization: optionalString(affiliation) };
+  });
+
+  const resolveAffiliation = (reference) => {
+    const index =
+      typeof reference === "number"
+        ? reference - 1
+        : affiliations.findIndex(
+            (affiliation) =>
+              affiliation.id !== undefined &&
+              affiliation.id === String(reference)
+          );
+    return index >= 0 && index < affiliations.length ? index + 1 : null;
+  };
+
+  const authors = toList(input.authors ?? input.author).map((author, index) => {
+    const record =
+      author && typeof author === "object" ? author : { name: author };
+    const affiliationIndexes = [];
+    for (const reference of toList(record.affiliations ?? record.affiliation)) {
+      const affiliationIndex = resolveAffiliation(reference);
+      if (affiliationIndex === null) {
+        problems.push(
+          metadataProblem(
+            `authors[${index}].affiliations`,
+            "error",
+            `Unknown affiliation ${reference}`
+          )
+        );
+      } else {
+        affiliationIndexes.push(affiliationIndex);
+      }
+    }
+
+    const givenName = optionalString(record.givenName);
+    const familyName = optionalString(record.familyName);
+    return {
+      name:
+        optionalString(record.name) ??
+        ([givenName, familyName].filter(Boolean).join(" ") || undefined),
+      givenName,
+      familyName,
+      affiliations: affiliationIndexes,
+      email: optionalString(record.email),
+      orcid: optionalString(record.orcid)?.replace(
+        /^https?:\/\/orcid\.org\//,
+        ""
+      ),
+      corresponding: record.corresponding === true,
+    };
+  });
+
+  const keywords =
+    typeof input.keywords === "string"
+      ? input.keywords.split(/[;,]/)
+      : toList(input.keywords);
+
+  let funding;
+  if (Array.isArray(input.funding)) {
+    funding = input.funding.map((source) =>
+      source && typeof source === "object"
+        ? {
+            funder: optionalString(source.funder),
+            grant: optionalString(source.grant),
+          }
+        : { funder: optionalString(source) }
+    );
+  } else {
+    funding = optionalString(input.funding);
+  }
+
+  return {
+    metadata: {
+      title: optionalString(input.title),
+      shortTitle: optionalString(input.shortTitle),
+      authors,
+      affiliations,
+      abstract: optionalString(input.abstract),
+      keywords: keywords.map(optionalString).filter(Boolean),
+      highlights: toList(input.highlights).map(optionalString).filter(Boolean),
+      funding,
+      dataAvailability: optionalString(input.dataAvailability),
+      journal: optionalString(input.journal),
+      articleType: optionalString(input.articleType),
+    },
+    problems,
+  };
+}
+
+/**
+ * Checks normalized metadata against the fields a template's publisher
+ * requires. Errors make POST /metadata/render refuse the metadata;
+ * warnings mirror the preflight items that would only warn.
+ * @param {string} templateId - Key in METADATA_RENDERERS
+ * @param {Object} metadata - Output of normalizeMetadata
+ * @returns {Promise<Object[]>} - { field, severity, message } problems
+ */
+async function validateMetadata(templateId, metadata) {
+  const problems = [];
+  const error = (field, message) =>
+    problems.push(metadataProblem(field, "error", message));
+  const warning = (field, message) =>
+    problems.push(metadataProblem(field, "warning", message));
+
+  if (!metadata.title) {
+    error("title", "A title is required");
+  }
+  if (!metadata.abstract) {
+    error("abstract", "An abstract is required");
+  }
+  if (metadata.keywords.length === 0) {
+    error("keywords", "Keywords are required");
+  }
+  if (metadata.authors.length === 0) {
+    error("authors", "At least one author is required");
+  }
+  metadata.authors.forEach((author, index) => {
+    const field = `authors[${index}]`;
+    if (!author.name) {
+      error(`${field}.name`, "Every author needs a name");
+    }
+    if (author.email && !EMAIL_PATTERN.test(author.email)) {
+      error(`${field}.email`, `Invalid e-mail address ${author.email}`);
+    }
+    if (author.orcid && !isValidOrcid(author.orcid)) {
+      error(`${field}.orcid`, `Invalid ORCID iD ${author.orcid}`);
+    }
+    if (author.corresponding && !author.email) {
+      error(`${field}.email`, "The corresponding author needs an e-mail");
+    }
+    if (author.affiliations.length === 0 && metadata.affiliations.length > 0) {
+      warning(`${field}.affiliations`, `${author.name} has no affiliation`);
+    }
+  });
+  if (
+    metadata.authors.length > 0 &&
+    !metadata.authors.some((author) => author.corresponding)
+  ) {
+    error("authors", "Mark at least one author as corresponding");
+  }
+  if (metadata.affiliations.length === 0) {
+    error("affiliations", "At least one affiliation is required");
+  }
+  metadata.affiliations.forEach((affiliation, index) => {
+    if (!affiliation.organization) {
+      error(
+        `affiliations[${index}].organization`,
+        "Every affiliation needs an organization"
+      );
+    }
+  });
+  if (Array.isArray(metadata.funding)) {
+    metadata.funding.forEach((source, index) => {
+      if (!source.funder) {
+        error(
+          `funding[${index}].funder`,
+          "Every funding source needs a funder"
+        );
+      }
+    });
+  }
+
+  if (templateId === "mdpi") {
+    const { journals, articleTypes } = await loadMdpiOptions();
+    if (!metadata.journal) {
+      warning("journal", "No journal set, the document uses 'notspecified'");
+    } else if (!journals.has(metadata.journal)) {
+      error("journal", `Unknown MDPI journal ${metadata.journal}`);
+    }
+    if (metadata.articleType && !articleTypes.has(metadata.articleType)) {
+      error("articleType", `Unknown MDPI article type ${metadata.articleType}`);
+    }
+    if (metadata.abstract && countWords(metadata.abstract) > 200) {
+      warning(
+        "abstract",
+        `${countWords(metadata.abstract)} words, MDPI asks for about 200 at most`
+      );
+    }
+    if (
+      metadata.keywords.length > 0 &&
+      (metadata.keywords.length < 3 || metadata.keywords.length > 10)
+    ) {
+      warning(
+        "keywords",
+        `${metadata.keywords.length} keywords, MDPI asks for three to ten`
+      );
+    }
+    if (metadata.funding === undefined) {
+      error(
+        "funding",
+        "MDPI requires a funding statement; send [] if there was no external funding"
+      );
+    }
+    if (!metadata.dataAvailability) {
+      error("dataAvailability", "MDPI requires a data availability statement");
+    }
+    const orcidCount = metadata.authors.filter(
+      (author) => author.orcid && isValidOrcid(author.orcid)
+    ).length;
+    if (orcidCount > MDPI_MAX_ORCIDS) {
+      warning(
+        "authors",
+        `${orcidCount} ORCID iDs, mdpi.cls can only show the first ${MDPI_MAX_ORCIDS}`
+      );
+    }
+  } else if (templateId === "elsevier-dc") {
+    metadata.affiliations.forEach((affiliation, index) => {
+      if (!affiliation.country) {
+        error(
+          `affiliations[${index}].country`,
+          "Elsevier requires the country of every affiliation"
+        );
+      }
+    });
+    if (metadata.keywords.length > 7) {
+      warning(
+        "keywords",
+        `${metadata.keywords.length} keywords, Elsevier journals allow up to 7`
+      );
+    }
+    const longHighlights = metadata.highlights.filter(
+      (highlight) => highlight.length > 85
+    );
+    if (
+      metadata.highlights.length < 3 ||
+      metadata.highlights.length > 5 ||
+      longHighlights.length > 0
+    ) {
+      warning(
+        "highlights",
+        "Elsevier asks for 3 to 5 highlights of at most 85 characters"
+      );
+    }
+    if (metadata.funding === undefined) {
+      warning("funding", "Elsevier journals ask for a funding statement");
+    }
+    if (!metadata.dataAvailability) {
+      warning(
+        "dataAvailability",
+        "Elsevier journals ask for a data availability statement"
+      );
+    }
+  }
+  return problems;
+}
+
+// "Ada Lovelace" -> { last: "Lovelace", initials: "A." }
+function splitAuthorName(author) {
+  const initialsOf = (names) =>
+    names
+      .trim()
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((part) => `${part[0]}.`)
+      .join(" ");
+  if (author.familyName) {
+    return {
+      last: author.familyName,
+      initials: initialsOf(
+        author.givenName ?? (author.name || "").replace(author.familyName, "")
+      ),
+    };
+  }
+  const parts = (author.name || "").trim().split(/\s+/);
+  const last = parts.pop() || "";
+  return { last, initials: initialsOf(parts.join(" ")) };
+}
+
+// "A, B and C"
+const joinNames = (names) =>
+  names.length > 1
+    ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`
+    : names.join("");
+
+// MDPI's standard funding sentence, also used for CAS
+function fundingStatement(funding) {
+  if (typeof funding === "string") {
+    return funding;
+  }
+  if (!funding || funding.length === 0) {
+    return "This research received no external funding.";
+  }
+  const sources = funding.map(({ funder, grant }) =>
+    grant ? `${funder} grant number ${grant}` : funder
+  );
+  return `This research was funded by ${joinNames(sources)}.`;
+}
+
+/**
+ * Renders metadata for the MDPI class: the \documentclass line with the
+ * journal and article type, the preamble macros and the back matter
+ * @param {Object} metadata - Output of normalizeMetadata
+ * @param {Object} options - { bibliography } when references.bib is compiled
+ * @returns {Object} - { documentClass, preamble, frontMatter, backMatter }
+ */
+function renderMdpiMetadata(metadata, { bibliography } = {}) {
+  const { authors, affiliations } = metadata;
+  const year = new Date().getFullYear();
+
+  const orcids = [];
+  const authorLine = authors.map((author) => {
+    const marks = author.affiliations.join(",");
+    let entry = texText(author.name);
+    if (marks) {
+      entry += author.corresponding ? ` $^{${marks},}$*` : ` $^{${marks}}$`;
+    } else if (author.corresponding) {
+      entry += "*";
+    }
+    // Invalid iDs and those past \orcidZ are reported by validateMetadata
+    // and left out here
+    if (
+      author.orcid &&
+      isValidOrcid(author.orcid) &&
+      orcids.length < MDPI_MAX_ORCIDS
+    ) {
+      const letter = String.fromCharCode(65 + orcids.length);
+      orcids.push(`\\newcommand{\\orcidauthor${letter}}{${author.orcid}}`);
+      entry += `\\orcid${letter}{}`;
+    }
+    return entry;
+  });
+  const citationNames = authors.map((author) => {
+    const { last, initials } = splitAuthorName(author);
+    return texText(initials ? `${last}, ${initials}` : last);
+  });
+  const correspondence = authors
+    .filter((author) => author.corresponding && author.email)
+    .map((author) => texText(author.email));
+
+  const affiliationText = (affiliation) =>
+    texText(
+      [
+        affiliation.department,
+        affiliation.organization,
+        affiliation.address,
+        [affiliation.city, affiliation.postcode].filter(Boolean).join(" "),
+        affiliation.state,
+        affiliation.country,
+      ]
+        .filter(Boolean)
+        .join(", ")
+    );
+  const address = `\\address${affiliations.length === 1 ? "[1]" : ""}{%\n${affiliations
+    .map(
+      (affiliation, index) =>
+        `$^{${index + 1}}$ \\quad ${affiliationText(affiliation)}`
+    )
+    .join("\\\\\n")}}`;
+
+  const preamble = [
+    "\\firstpage{1}",
+    "\\makeatletter",
+    "\\setcounter{page}{\\@firstpage}",
+    "\\makeatother",
+    "\\pubvolume{1}",
+    "\\issuenum{1}",
+    "\\articlenumber{0}",
+    `\\pubyear{${year}}`,
+    `\\copyrightyear{${year}}`,
+    "\\datereceived{ }",
+    "\\daterevised{ }",
+    "\\dateaccepted{ }",
+    "\\datepublished{ }",
+    "\\hreflink{https://doi.org/}",
+    `\\Title{${texText(metadata.title)}}`,
+    `\\TitleCitation{${texText(metadata.title)}}`,
+    ...orcids,
+    `\\Author{${joinNames(authorLine)}}`,
+    `\\AuthorNames{${joinNames(authors.map((author) => texText(author.name)))}}`,
+    `\\AuthorCitation{${citationNames.join("; ")}}`,
+    ...(affiliations.length > 0 ? [address] : []),
+    ...(correspondence.length > 0
+      ? [`\\corres{Correspondence: ${correspondence.join("; ")}}`]
+      : []),
+    `\\abstract{${texText(metadata.abstract)}}`,
+    `\\keyword{${metadata.keywords.map(texText).join("; ")}}`,
+  ];
+
+  const backMatter = [
+    "\\vspace{6pt}",
+    ...(metadata.funding !== undefined
+      ? [`\\funding{${texText(fundingStatement(metadata.funding))}}`]
+      : []),
+    ...(metadata.dataAvailability
+      ? [`\\dataavailability{${texText(metadata.dataAvailability)}}`]
+      : []),
+    "\\begin{adjustwidth}{-\\extralength}{0cm}",
+    "\\reftitle{References}",
+    ...(bibliography ? ["\\bibliography{references}"] : []),
+    "\\PublishersNote{}",
+    "\\end{adjustwidth}",
+  ];
+
+  return {
+    documentClass: `\\documentclass[${metadata.journal || "notspecified"},${
+      metadata.articleType || "article"
+    },submit,pdftex,${authors.length > 1 ? "moreauthors" : "oneauthor"}]{Definitions/mdpi}`,
+    preamble: preamble.join("\n"),
+    frontMatter: "",
+    backMatter: backMatter.join("\n"),
+  };
+}
+
+/**
+ * Renders metadata for the CAS double column class, whose front matter goes
+ * after \begin{document} and ends with \maketitle
+ * @param {Object} metadata - Output of normalizeMetadata
+ * @param {Object} options - { bibliography } when references.bib is compiled
+ * @returns {Object} - { documentClass, preamble, frontMatter, backMatter }
+ */
+function renderElsevierMetadata(metadata, { bibliography } = {}) {
+  const { authors, affiliations } = metadata;
+  const firstAuthor = authors[0] ? splitAuthorName(authors[0]).last : "";
+
+  const frontMatter = [
+    "\\let\\WriteBookmarks\\relax",
+    "\\def\\floatpagepagefraction{1}",
+    "\\def\\textpagefraction{.001}",
+    `\\shorttitle{${texText(metadata.shortTitle || metadata.title)}}`,
+    `\\shortauthors{${texText(firstAuthor)}${authors.length > 1 ? " et~al." : ""}}`,
+    `\\title [mode = title]{${texText(metadata.title)}}`,
+  ];
+  let corresponding = 0;
+  for (const author of authors) {
+    const marks = author.affiliations.join(",");
+    frontMatter.push(
+      `\\author${marks ? `[${marks}]` : ""}{${texText(author.name)}}${
+        author.orcid && isValidOrcid(author.orcid)
+          ? `[orcid=${author.orcid}]`
+          : ""
+      }`
+    );
+    if (author.corresponding) {
+      frontMatter.push(`\\cormark[${++corresponding}]`);
+    }
+    if (author.email) {
+      frontMatter.push(`\\ead{${texText(author.email)}}`);
+    }
+  }
+  affiliations.forEach((affiliation, index) => {
+    const keys = [
+      [
+        "organization",
+        [affiliation.department, affiliation.organization]
+          .filter(Boolean)
+          .join(", "),
+      ],
+      ["addressline", affiliation.address],
+      ["city", affiliation.city],
+      ["postcode", affiliation.postcode],
+      ["state", affiliation.state],
+      ["country", affiliation.country],
+    ].filter(([, value]) => value);
+    frontMatter.push(
+      `\\affiliation[${index + 1}]{${keys
+        .map(([key, value]) => `${key}={${texText(value)}}`)
+        .join(",\n    ")}}`
+    );
+  });
+  for (let mark = 1; mark <= corresponding; mark++) {
+    frontMatter.push(`\\cortext[cor${mark}]{Corresponding author}`);
+  }
+  frontMatter.push(
+    "\\begin{abstract}",
+    texText(metadata.abstract),
+    "\\end{abstract}",
+    ...(metadata.highlights.length > 0
+      ? [
+          "\\begin{highlights}",
+          ...metadata.highlights.map(
+            (highlight) => `\\item ${texText(highlight)}`
+          ),
+          "\\end{highlights}",
+        ]
+      : []),
+    "\\begin{keywords}",
+    metadata.keywords.map(texText).join(" \\sep "),
+    "\\end{keywords}",
+    "\\maketitle"
+  );
+
+  const backMatter = [
+    ...(metadata.funding !== undefined
+      ? ["\\section*{Funding}", texText(fundingStatement(metadata.funding)), ""]
+      : []),
+    ...(metadata.dataAvailability
+      ? [
+          "\\section*{Data availability}",
+          texText(metadata.dataAvailability),
+          "",
+        ]
+      : []),
+    ...(bibliography
+      ? ["\\bibliographystyle{model1-num-names}", "\\bibliography{references}"]
+      : []),
+  ];
+
+  return {
+    documentClass: "\\documentclass[a4paper,fleqn]{cas-dc}",
+    preamble: "\\usepackage[numbers]{natbib}",
+    frontMatter: frontMatter.join("\n"),
+    backMatter: backMatter.join("\n"),
+  };
+}
+
+const METADATA_RENDERERS = {
+  mdpi: renderMdpiMetadata,
+  "elsevier-dc": renderElsevierMetadata,
+};
+
+// Renders and validates manuscript metadata for a template; answers 422 with
+// the problems when a required field is missing or malformed
+app.post(
+  "/metadata/render",
+  requireScope("templates"),
+  async (req, res, next) => {
+    const { template, metadata, bibliography } = req.body || {};
+    if (!METADATA_RENDERERS[template]) {
+      return res.status(400).json({
+        error: `template must be one of ${Object.keys(METADATA_RENDERERS).join(", ")}`,
+      });
+    }
+    if (!metadata || typeof metadata !== "object" || Array.isArray(metadata)) {
+      return res.status(400).json({ error: "metadata must be an object" });
+    }
+
+    try {
+      const normalized = normalizeMetadata(metadata);
+      const problems = [
+        ...normalized.problems,
+        ...(await validateMetadata(template, normalized.metadata)),
+      ];
+      if (problems.some((problem) => problem.severity === "error")) {
+        return res.status(422).json({ error: "Invalid metadata", problems });
+      }
+      res.json({
+        template,
+        problems,
+        ...METADATA_RENDERERS[template](normalized.metadata, {
+          bibliography: bibliography === true,
+        }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Document import
+// POST /import turns a Markdown manuscript (with the manuscript metadata as
+// YAML front matter) or the HTML a word processor exports into a complete
+// document for one of the templates. The body is converted with pandoc;
+// headings, lists, figures, tables, equations and [@key] citations map onto
+// the LaTeX the template classes expect.
+// Remote figures become imageReferences of the returned compile request.
+const IMPORT_FORMATS = { markdown: "markdown", html: "html" };
+const PANDOC_COMMAND = process.env.PANDOC_COMMAND || "pandoc";
+const IMPORT_MAX_FIGURES = 100;
+
+// Errors the manuscript itself causes; /import answers them with 422
+function importError(message) {
+  const error = new Error(message);
+  error.code = "IMPORT_FAILED";
+  return error;
+}
+
+// Macros pandoc's LaTeX writer relies on; its own preamble isn't used
+const PANDOC_PREAMBLE = String.raw`\usepackage{calc}
+\providecommand{\tightlist}{%
+  \setlength{\itemsep}{0pt}\setlength{\parskip}{0pt}}
+\makeatletter
+\newsavebox\pandoc@box
+\providecommand*\pandocbounded[1]{%
+  \sbox\pandoc@box{#1}%
+  \Gscale@div\@tempa{\textheight}{\dimexpr\ht\pandoc@box+\dp\pandoc@box\relax}%
+  \Gscale@div\@tempb{\linewidth}{\wd\pandoc@box}%
+  \ifdim\@tempb\p@<\@tempa\p@\let\@tempa\@tempb\fi
+  \ifdim\@tempa\p@<\p@\scalebox{\@tempa}{\usebox\pandoc@box}%
+  \else\usebox{\pandoc@box}%
+  \fi}
+\makeatother`;
+
+// Splits a flow list ("a, 'b, c', d") on the commas outside quotes
+function splitFlowList(value) {
+  const items = [];
+  let current = "";
+  let quote = null;
+  for (const char of value) {
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ",") {
+      items.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  items.push(current);
+  return items.map((item) => item.trim()).filter((item) => item !== "");
+}
+
+/**
+ * Parses the YAML subset manuscript front matter uses: nested maps and lists,
+ * plain and quoted scalars, [flow, lists] and | or > block scalars
+ * @param {string} text - Front matter without the --- delimiters
+ * @returns {Object} - Parsed mapping
+ */
+function parseFrontMatter(text) {
+  const lines = text.split(/\r?\n/);
+  let index = 0;
+
+  const indentOf = (line) => line.match(/^ */)[0].length;
+  const isBlank = (line) => /^\s*(?:#.*)?$/.test(line);
+  const skipBlank = () => {
+    while (index < lines.length && isBlank(lines[index])) {
+      index++;
+    }
+  };
+  const fail = (message) => {
+    throw importError(`Front matter line ${index + 1}: ${message}`);
+  };
+
+  const scalar = (raw) => {
+    const value = raw.trim();
+    if (/^".*"$/.test(value)) {
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        fail(`invalid quoted string ${value}`);
+      }
+    }
+    if (/^'.*'$/.test(value)) {
+      return value.slice(1, -1).replace(/''/g, "'");
+    }
+    if (/^\[.*\]$/.test(value)) {
+      return splitFlowList(value.slice(1, -1)).map(scalar);
+    }
+    const plain = value.replace(/\s+#.*$/, "");
+    if (plain === "" || plain === "~" || plain === "null") {
+      return null;
+    }
+    if (plain === "true" || plain === "false") {
+      return plain === "true";
+    }
+    if (/^-?\d+(?:\.\d+)?$/.test(plain)) {
+      return Number(plain);
+    }
+    return plain;
+  };
+
+  // Literal (|) blocks keep their line breaks, folded (>) ones join lines
+  const blockScalar = (parentIndent, style) => {
+    const blockLines = [];
+    let blockIndent = null;
+    while (index < lines.length) {
+      const line = lines[index];
+      if (line.trim() === "") {
+        blockLines.push("");
+        index++;
+        continue;
+      }
+      if (indentOf(line) <= parentIndent) {
+        break;
+      }
+      blockIndent = blockIndent ?? indentOf(line);
+      blockLines.push(line.slice(Math.min(blockIndent, indentOf(line))));
+      index++;
+    }
+    const text = blockLines.join("\n").trim();
+    return style === "|"
+      ? text
+      : text
+          .split(/\n{2,}/)
+          .map((paragraph) => paragraph.replace(/\n/g, " "))
+          .join("\n");
+  };
+
+  const value = (rest, indent) => {
+    if (rest === undefined || isBlank(rest)) {
+      skipBlank();
+      if (index >= lines.length) {
+        return null;
+      }
+      const nextIndent = indentOf(lines[index]);
+      const isListItem = /^-(?:\s|$)/.test(lines[index].slice(nextIndent));
+      if (nextIndent > indent || (nextIndent === indent && isListItem)) {
+        return block(nextIndent);
+      }
+      return null;
+    }
+    const blockStyle = rest.trim().match(/^([|>])[+-]?$/);
+    if (blockStyle) {
+      return blockScalar(indent, blockStyle[1]);
+    }
+    return scalar(rest);
+  };
+
+  const map = (indent) => {
+    const result = {};
+    for (skipBlank(); index < lines.length; skipBlank()) {
+      const line = lines[index];
+      if (indentOf(line) < indent) {
+        break;
+      }
+      if (indentOf(line) > indent) {
+        fail("unexpected indentation");
+      }
+      const match = line
+        .slice(indent)
+        .match(/^([^\s\-#'"[\]{}:][^:]*?)\s*:(?:\s+(.*))?$/);
+      if (!match) {
+        fail("expected a key: value pair");
+      }
+      index++;
+      result[match[1]] = value(match[2], indent);
+    }
+    return result;
+  };
+
+  const list = (indent) => {
+    const result = [];
+    for (skipBlank(); index < lines.length; skipBlank()) {
+      const line = lines[index];
+      if (indentOf(line) !== indent || !/^-(?:\s|$)/.test(line.slice(indent))) {
+        break;
+      }
+      const rest = line.slice(indent + 1);
+      const item = rest.trim();
+      if (/^[^\s\-#'"[\]{}:][^:]*?\s*:(?:\s|$)/.test(item)) {
+        // "- key: value" starts a mapping indented to where its key is
+        const itemIndent = indent + 1 + (rest.length - rest.trimStart().length);
+        lines[index] = " ".repeat(itemIndent) + item;
+        result.push(map(itemIndent));
+      } else {
+        index++;
+        result.push(value(item, indent));
+      }
+    }
+    return result;
+  };
+
+  const block = (indent) =>
+    /^-(?:\s|$)/.test(lines[index].slice(indent)) ? list(indent) : map(indent);
+
+  skipBlank();
+  if (index >= lines.length) {
+    return {};
+  }
+  const parsed = block(indentOf(lines[index]));
+  skipBlank();
+  if (index < lines.length) {
+    fail("unexpected indentation");
+  }
+  if (Array.isArray(parsed)) {
+    throw importError("Front matter must be a mapping");
+  }
+  return parsed;
+}
+
+// Separates a leading --- front matter block from the Markdown body
+function splitFrontMatter(source) {
+  const text = source.replace(/^\uFEFF/, "");
+  const match = text.match(
+    /^---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/
+  );
+  if (!match) {
+    return { metadata: {}, body: text };
+  }
+  return {
+    metadata: parseFrontMatter(match[1]),
+    body: text.slice(match[0].length),
+  };
+}
+
+const decodeHtmlEntities = (text) =>
+  text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(code))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) =>
+      String.fromCodePoint(parseInt(code, 16))
+    )
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+// Document properties an exported HTML file carries in <title> and <meta>
+function htmlMetadata(html) {
+  const metadata = {};
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  if (title && title[1].trim()) {
+    metadata.title = decodeHtmlEntities(title[1].trim());
+  }
+
+  const authors = [];
+  for (const [tag] of html.matchAll(/<meta\b[^>]*>/gi)) {
+    const attribute = (name) =>
+      tag.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, "i"));
+    const name = attribute("name");
+    const content = attribute("content");
+    if (!name || !content) {
+      continue;
+    }
+    const text = decodeHtmlEntities(content[2] ?? content[3]).trim();
+    switch ((name[2] ?? name[3]).toLowerCase()) {
+      case "author":
+      case "dc.creator":
+        authors.push(text);
+        break;
+      case "keywords":
+        metadata.keywords = text;
+        break;
+      case "description":
+      case "dc.description":
+        metadata.abstract = text;
+        break;
+    }
+  }
+  if (authors.length > 0) {
+    metadata.authors = authors;
+  }
+  return metadata;
+}
+
+// Assembles the template document around a converted body
+function renderTemplateDocument(templateId, metadata, body, options) {
+  const parts = METADATA_RENDERERS[templateId](metadata, options);
+  return [
+    parts.documentClass,
+    parts.preamble,
+    PANDOC_PREAMBLE,
+    "\\begin{document}",
+    ...(parts.frontMatter ? [parts.frontMatter] : []),
+    "",
+    body.trim(),
+    "",
+    parts.backMatter,
+    "\\end{document}",
+    "",
+  ].join("\n");
+}
+
+// Reads the braced group starting at source[start], returning its end index
+function skipBraceGroup(source, start) {
+  let depth = 0;
+  for (let index = start; index < source.length; index++) {
+    if (source[index] === "\\") {
+      index++;
+    } else if (source[index] === "{") {
+      depth++;
+    } else if (source[index] === "}" && --depth === 0) {
+      return index + 1;
+    }
+  }
+  return -1;
+}
+
+// pandoc writes every table as a longtable, which the two-column classes
+// reject; rewrite them as table floats with the caption on top
+function longtablesToFloats(latex) {
+  const begin = "\\begin{longtable}";
+  const end = "\\end{longtable}";
+  let result = "";
+  let position = 0;
+
+  for (
+    let start = latex.indexOf(begin);
+    start !== -1;
+    start = latex.indexOf(begin, position)
+  ) {
+    let specStart = start + begin.length;
+    if (latex.startsWith("[]", specStart)) {
+      specStart += 2;
+    }
+    const specEnd = skipBraceGroup(latex, specStart);
+    const tableEnd = latex.indexOf(end, specStart);
+    if (specEnd === -1 || tableEnd === -1) {
+      break;
+    }
+
+    let rows = latex.slice(specEnd, tableEnd);
+    let caption = "";
+    const captionStart = rows.indexOf("\\caption");
+    if (captionStart !== -1) {
+      const captionEnd = skipBraceGroup(rows, rows.indexOf("{", captionStart));
+      const after = rows
+        .slice(captionEnd)
+        .match(/^(\\label\{[^}]*\})?\\tabularnewline/);
+      caption = rows.slice(captionStart, captionEnd) + (after?.[1] || "");
+      rows =
+        rows.slice(0, captionStart) +
+        rows.slice(captionEnd + (after?.[0].length || 0));
+    }
+
+    // Keep the first header and the last footer; drop the repeated ones
+    const parts = { head: rows, foot: "", body: "" };
+    const firstHead = rows.indexOf("\\endfirsthead");
+    const head = rows.indexOf("\\endhead");
+    const lastFoot = rows.indexOf("\\endlastfoot");
+    if (head !== -1) {
+      parts.head = rows.slice(0, firstHead !== -1 ? firstHead : head);
+      const rest = rows.slice(head + "\\endhead".length);
+      const footEnd = rest.indexOf("\\endlastfoot");
+      if (lastFoot !== -1 && footEnd !== -1) {
+        parts.foot = rest.slice(0, footEnd);
+        parts.body = rest.slice(footEnd + "\\endlastfoot".length);
+      } else {
+        parts.body = rest;
+      }
+    }
+
+    result +=
+      latex.slice(position, start) +
+      [
+        "\\begin{table}",
+        "\\centering",
+        ...(caption ? [caption] : []),
+        `\\begin{tabular}${latex.slice(specStart, specEnd)}`,
+        parts.head.trim(),
+        parts.body.trim(),
+        parts.foot.trim(),
+        "\\end{tabular}",
+        "\\end{table}",
+      ]
+        .filter((line) => line !== "")
+        .join("\n");
+    position = tableEnd + end.length;
+  }
+  return result + latex.slice(position);
+}
+
+/**
+ * Points \includegraphics at images/ and turns remote figures into
+ * imageReferences for the compile request
+ * @param {string} latex - Converted document body
+ * @returns {Object} - { latex, figures, imageReferences }
+ */
+function mapFigures(latex) {
+  const figures = [];
+  const imageReferences = {};
+  const mapped = latex.replace(
+    /\\includegraphics(\[[^\]]*\])?\{([^}]*)\}/g,
+    (match, options, source) => {
+      // pandoc's alt= key needs a newer graphicx than the templates assume
+      const cleaned = (options || "")
+        .replace(/,?\s*alt=\{[^}]*\}/, "")
+        .replace(/^\[,?\s*\]$/, "");
+      if (!/^https?:\/\//i.test(source)) {
+        figures.push({ source, path: source, remote: false });
+        return `\\includegraphics${cleaned}{${source}}`;
+      }
+      if (figures.length >= IMPORT_MAX_FIGURES) {
+        throw importError(`More than ${IMPORT_MAX_FIGURES} figures`);
+      }
+
+      const id = `figure${figures.length + 1}`;
+      let url;
+      try {
+        url = new URL(source);
+      } catch (error) {
+        throw importError(`Invalid figure URL ${source}`);
+      }
+      const extension = path.extname(url.pathname).toLowerCase();
+      const filename = `${id}${
+        /^\.(?:png|jpe?g|pdf|eps|gif|svg|webp|tiff?|bmp)$/.test(extension)
+          ? extension
+          : ".png"
+      }`;
+      imageReferences[id] = { id, url: source, filename };
+      figures.push({ source, path: `images/${id}`, remote: true });
+      // No extension, so a converted SVG or WebP is still found
+      return `\\includegraphics${cleaned}{images/${id}}`;
+    }
+  );
+  return { latex: mapped, figures, imageReferences };
+}
+
+/**
+ * Converts a Markdown or HTML document body to LaTeX with pandoc
+ * @param {string} format - Key in IMPORT_FORMATS
+ * @param {string} body - Document body without front matter
+ * @returns {Promise<string>} - LaTeX body
+ */
+async function convertWithPandoc(format, body) {
+  await fs.mkdirp(WORKSPACE_ROOT);
+  const tempDir = await fs.mkdtemp(path.join(WORKSPACE_ROOT, "import-"));
+  try {
+    const inputPath = path.join(
+      tempDir,
+      `input.${format === "html" ? "html" : "md"}`
+    );
+    await fs.writeFile(inputPath, body, "utf-8");
+    const conversion = await runCommand(
+      PANDOC_COMMAND,
+      [
+        "--from",
+        IMPORT_FORMATS[format],
+        "--to",
+        "latex",
+        "--natbib",
+        "--no-highlight",
+        "--wrap=preserve",
+        "--top-level-division=section",
+        inputPath,
+      ],
+      { cwd: tempDir }
+    ).catch((error) => {
+      // spawn reports a missing pandoc binary as ENOENT
+      if (error.code === "ENOENT") {
+        error.code = "PANDOC_MISSING";
+      }
+      throw error;
+    });
+    if (conversion.code !== 0) {
+      throw importError(`pandoc failed: ${conversion.stderr.trim()}`);
+    }
+    return conversion.stdout;
+  } finally {
+    await fs.remove(tempDir);
+  }
+}
+
+/**
+ * Builds a template document from a Markdown or HTML manuscript
+ * @param {Object} request - Import request body
+ * @returns {Promise<Object>} - Generated document, compile request, metadata
+ * problems and warnings
+ */
+async function importDocument(request) {
+  const { template, format, content, bibliography } = request;
+  const { metadata: frontMatter, body } =
+    format === "markdown"
+      ? splitFrontMatter(content)
+      : { metadata: htmlMetadata(content), body: content };
+  const { metadata, problems } = normalizeMetadata({
+    ...frontMatter,
+    ...request.metadata,
+  });
+  problems.push(...(await validateMetadata(template, metadata)));
+  const warnings = [];
+
+  const converted = mapFigures(
+    longtablesToFloats(await convertWithPandoc(format, body))
+  );
+  for (const figure of converted.figures) {
+    if (!figure.remote) {
+      warnings.push(
+        `Figure ${figure.source} must be sent with the compile request`
+      );
+    }
+  }
+  if (/\\cite[pt]?\{/.test(converted.latex) && !bibliography?.content) {
+    warnings.push("The document cites references but no bibliography was sent");
+  }
+
+  const filename = "main.tex";
+  const document = renderTemplateDocument(template, metadata, converted.latex, {
+    bibliography: !!bibliography?.content,
+  });
+  const compileRequest = { template, filename, content: document };
+  if (bibliography?.content) {
+    compileRequest.bibliography = { content: bibliography.content };
+  }
+  if (Object.keys(converted.imageReferences).length > 0) {
+    compileRequest.imageReferences = converted.imageReferences;
+  }
+
+  return {
+    template,
+    filename,
+    content: document,
+    metadata,
+    problems,
+    figures: converted.figures,
+    warnings,
+    compileRequest,
+  };
+}
+
+// Returns an error message if the import request body is unusable
+function validateImportRequest(body) {
+  const { template, format, content, metadata, bibliography, compile } =
+    body || {};
+  if (!METADATA_RENDERERS[template]) {
+    return `template must be one of ${Object.keys(METADATA_RENDERERS).join(", ")}`;
+  }
+  if (!Object.prototype.hasOwnProperty.call(IMPORT_FORMATS, format)) {
+    return `format must be one of ${Object.keys(IMPORT_FORMATS).join(", ")}`;
+  }
+  if (typeof content !== "string" || !content.trim()) {
+    return "content must be a non-empty string";
+  }
+  if (
+    metadata !== undefined &&
+    (!metadata || typeof metadata !== "object" || Array.isArray(metadata))
+  ) {
+    return "metadata must be an object";
+  }
+  if (bibliography !== undefined && typeof bibliography?.content !== "string") {
+    return "bibliography must be { content }";
+  }
+  if (compile !== undefined && typeof compile !== "boolean") {
+    return "compile must be a boolean";
+  }
+  return null;
+}
+
+// Convert a manuscript into a template document. With `compile: true` the
+// document is also submitted as a compile job, as POST /jobs would.
+app.post("/import", requireScope("compile"), async (req, res, next) => {
+  const validationError = validateImportRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  let imported;
+  try {
+    imported = await importDocument(req.body);
+  } catch (error) {
+    if (error.code === "PANDOC_MISSING") {
+      return res.status(501).json({
+        error: "Document import is not available",
+        details: `${PANDOC_COMMAND} is not installed`,
+      });
+    }
+    if (error.code !== "IMPORT_FAILED") {
+      return next(error);
+    }
+    logger.warn("Import failed", { error: error.message });
+    return res
+      .status(422)
+      .json({ error: "Import failed", details: error.message });
+  }
+  logger.info("Imported document", {
+    format: req.body.format,
+    template: imported.template,
+    figures: imported.figures.length,
+    warnings: imported.warnings.length,
+  });
+
+  if (!req.body.compile) {
+    return res.json(imported);
+  }
+  // Same rule as /metadata/render: no compile with error-level problems
+  if (imported.problems.some((problem) => problem.severity === "error")) {
+    return res.status(422).json({ error: "Invalid metadata", ...imported });
+  }
+  try {
+    const job = await admitCompileJob(req, res, imported.compileRequest);
+    if (job) {
+      res
+        .status(202)
+        .location(`/jobs/${job.id}`)
+        .json({ ...imported, job: serializeJob(job) });
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Multi-file projects
+// Instead of a single `content` string a request may send a whole project:
+// a `files` map of relative path -> text (or { base64Data } / { hash } for binaries)
+// and/or a base64 zip/tar `archive`, plus the `mainFile` to compile.
+// Archives may unpack to at most ARCHIVE_MAX_BYTES.
+const PROJECT_MAX_FILES = parseInt(process.env.PROJECT_MAX_FILES, 10) || 2000;
+const ARCHIVE_MAX_BYTES =
+  parseInt(process.env.ARCHIVE_MAX_BYTES, 10) || 500 * 1024 * 1024;
+const ARCHIVE_FORMATS = ["zip", "tar", "tar.gz", "tgz"];
+
+/**
+ * Normalizes a client supplied project path
+ * @param {string} filePath - Relative path from the request
+ * @returns {string|null} - Normalized POSIX path, or null if it would leave the project
+ */
+function normalizeProjectPath(filePath) {
+  if (typeof filePath !== "string" || !filePath || filePath.includes("\0")) {
+    return null;
+  }
+
+  const normalized = path.posix.normalize(filePath.replace(/\\/g, "/"));
+  if (
+    path.posix.isAbsolute(normalized) ||
+    /^[a-zA-Z]:/.test(normalized) ||
+    normalized === "." ||
+    normalized === ".." ||
+    normalized.startsWith("../")
+  ) {
+    return null;
+  }
+  return normalized.replace(/\/$/, "");
+}
+
+/**
+ * Resolves a project path against a root directory, refusing anything outside it
+ * @param {string} rootDir - Directory the project is materialized in
+ * @param {string} filePath - Relative path from the request
+ * @returns {string} - Absolute path inside rootDir
+ */
+function resolveProjectPath(rootDir, filePath) {
+  const normalized = normalizeProjectPath(filePath);
+  const resolved = normalized && path.resolve(rootDir, normalized);
+  if (!resolved || !resolved.startsWith(path.resolve(rootDir) + path.sep)) {
+    throw new Error(`Path escapes the project directory: ${filePath}`);
+  }
+  return resolved;
+}
+
+/**
+ * Runs a helper program to completion
+ * @param {string} command - Executable to run
+ * @param {string[]} args - Command line arguments
+ * @param {Object} options - Options passed to spawn; when its `signal` aborts
+ * the program is killed and the promise rejects with the abort reason
+ * @returns {Promise<Object>} - Exit code and collected stdout/stderr
+ */
+function runCommand(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { timeout: 60000, ...options });
+    let stdout = "";
+    let stderr = "";
+
+    child.stdout.on("data", (data) => {
+      stdout += data.toString();
+    });
+    child.stderr.on("data", (data) => {
+      stderr += data.toString();
+    });
+    child.on("error", (error) =>
+      reject(options.signal?.aborted ? options.signal.reason : error)
+    );
+    child.on("close", (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+// Entries of a zip or tar archive from its verbose listing: the type (first
+// character of the mode), declared size and name of each
+const ZIP_LISTING_LINE =
+  /^(\S+)\s+\d+\.\d+\s+\S+\s+(\d+)\s+\S+\s+\d+\s+\S+\s+\S+\s+\S+\s(.*)$/;
+const TAR_LISTING_LINE = /^(\S+)\s+\S+\s+(\S+)\s+\S+\s+\S+\s(.*)$/;
+
+async function listArchiveEntries(archivePath, format, signal) {
+  const listing =
+    format === "zip"
+      ? await runCommand("unzip", ["-Zl", archivePath], { signal })
+      : await runCommand("tar", ["-tvf", archivePath], { signal });
+  if (listing.code !== 0) {
+    throw new Error(`Could not read ${format} archive: ${listing.stderr}`);
+  }
+  const pattern = format === "zip" ? ZIP_LISTING_LINE : TAR_LISTING_LINE;
+  return listing.stdout
+    .split("\n")
+    .map((line) => line.match(pattern))
+    .filter((match) => match)
+    .map(([, mode, size, name]) => ({
+      type: mode[0],
+      size: Number(size) || 0,
+      name,
+    }));
+}
+
+/**
+ * Unpacks a base64 zip or tar archive into the project directory
+ * @param {Object} archive - { format, base64Data } from the request
+ * @param {string} projectDir - Directory to extract into
+ * @param {AbortSignal} [signal] - Stops unzip or tar when the job is aborted
+ * @returns {Promise<string[]>} - Extracted entry names
+ */
+async function extractArchive(archive, projectDir, signal) {
+  const format = archive.format || "zip";
+  const archivePath = `${projectDir}.${format}`;
+  await fs.writeFile(archivePath, Buffer.from(archive.base64Data, "base64"));
+
+  try {
+    return await extractArchiveFile(archivePath, format, projectDir, signal);
+  } finally {
+    await fs.remove(archivePath);
+  }
+}
+
+/**
+ * Unpacks a zip or tar file into the project directory, refusing entries
+ * that leave it, links and anything that is neither a file nor a directory
+ * @param {string} archivePath - Archive on disk
+ * @param {string} format - One of ARCHIVE_FORMATS
+ * @param {string} projectDir - Directory to extract into
+ * @param {AbortSignal} [signal] - Stops unzip or tar when the job is aborted
+ * @returns {Promise<string[]>} - Extracted entry names
+ */
+async function extractArchiveFile(archivePath, format, projectDir, signal) {
+  const listing =
+    format === "zip"
+      ? await runCommand("unzip", ["-Z1", archivePath], { signal })
+      : await runCommand("tar", ["-tf", archivePath], { signal });
+  if (listing.code !== 0) {
+    throw new Error(`Could not read ${format} archive: ${listing.stderr}`);
+  }
+
+  const entries = listing.stdout.split("\n").filter((entry) => entry);
+  if (entries.length > PROJECT_MAX_FILES) {
+    throw new Error(
+      `Archive contains ${entries.length} entries, limit is ${PROJECT_MAX_FILES}`
+    );
+  }
+  // A link entry followed by entries below it would write outside the
+  // project before any check on the extracted tree could run
+  const details = await listArchiveEntries(archivePath, format, signal);
+  const special = details.filter((entry) =>
+    format === "zip" ? entry.type === "l" : !["-", "d"].includes(entry.type)
+  );
+  if (special.length > 0) {
+    throw new Error(
+      `Archive contains links or special files: ${special.map((entry) => entry.name).join(", ")}`
+    );
+  }
+  const declaredSize = details.reduce((total, entry) => total + entry.size, 0);
+  if (declaredSize > ARCHIVE_MAX_BYTES) {
+    throw new Error(
+      `Archive unpacks to ${declaredSize} bytes, limit is ${ARCHIVE_MAX_BYTES}`
+    );
+  }
+  for (const entry of entries) {
+    // tar lists the archive root itself as "./"
+    if (path.posix.normalize(entry).replace(/\/$/, "") !== ".") {
+      resolveProjectPath(projectDir, entry);
+    }
+  }
+
+  const extraction =
+    format === "zip"
+      ? await runCommand(
+          "unzip",
+          ["-qq", "-o", archivePath, "-d", projectDir],
+          { signal }
+        )
+      : await runCommand(
+          "tar",
+          [
+            "-xf",
+            archivePath,
+            "-C",
+            projectDir,
+            "--no-same-owner",
+            "--no-same-permissions",
+          ],
+          { signal }
+        );
+  if (extraction.code !== 0) {
+    throw new Error(
+      `Could not extract ${format} archive: ${extraction.stderr}`
+    );
+  }
+
+  // Links could point outside the project even when every name is clean
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir)) {
+      const entryPath = path.join(dir, entry);
+      const stats = await fs.lstat(entryPath);
+      if (stats.isSymbolicLink()) {
+        throw new Error(
+          `Archive contains a symbolic link: ${path.relative(projectDir, entryPath)}`
+        );
+      }
+      if (stats.isDirectory()) {
+        await walk(entryPath);
+      }
+    }
+  };
+  await walk(projectDir);
+
+  // Declared sizes can lie, so count what was actually written as well
+  let writtenSize = 0;
+  for (const entry of entries) {
+    const stats = await fs
+      .lstat(path.join(projectDir, entry))
+      .catch(() => null);
+    if (stats?.isFile()) {
+      writtenSize += stats.size;
+    }
+  }
+  if (writtenSize > ARCHIVE_MAX_BYTES) {
+    throw new Error(
+      `Archive unpacked to ${writtenSize} bytes, limit is ${ARCHIVE_MAX_BYTES}`
+    );
+  }
+
+  logger.debug("Extracted archive", { entries: entries.length, projectDir });
+  return entries;
+}
+
+/**
+ * Writes the `files` map of a project request
+ * @param {Object} files - Map of relative path -> string | { content } | { base64Data } | { hash }
+ * @param {string} projectDir - Directory to write into
+ * @returns {Promise<string[]>} - Written paths relative to projectDir
+ */
+async function writeProjectFiles(files, projectDir) {
+  const written = [];
+  for (const [filePath, file] of Object.entries(files)) {
+    const outputPath = resolveProjectPath(projectDir, filePath);
+    await fs.mkdirp(path.dirname(outputPath));
+
+    if (typeof file === "string") {
+      await fs.writeFile(outputPath, file, "utf-8");
+    } else if (file.base64Data) {
+      await fs.writeFile(outputPath, Buffer.from(file.base64Data, "base64"));
+    } else if (file.hash) {
+      await copyAsset(file.hash, outputPath);
+    } else {
+      await fs.writeFile(outputPath, file.content || "", "utf-8");
+    }
+    written.push(normalizeProjectPath(filePath));
+  }
+  logger.debug("Wrote project files", { files: written.length, projectDir });
+  return written;
+}
+
+// Returns an error message if the project fields of a request are unusable
+function validateProjectRequest(body) {
+  const { files, archive, git, mainFile } = body;
+
+  if (files !== undefined) {
+    if (!files || typeof files !== "object" || Array.isArray(files)) {
+      return "files must be an object mapping paths to contents";
+    }
+    const paths = Object.keys(files);
+    if (paths.length > PROJECT_MAX_FILES) {
+      return `Too many files: ${paths.length}, limit is ${PROJECT_MAX_FILES}`;
+    }
+    const invalid = paths.filter((filePath) => !normalizeProjectPath(filePath));
+    if (invalid.length > 0) {
+      return `Invalid file paths: ${invalid.join(", ")}`;
+    }
+    const malformed = paths.filter(
+      (filePath) =>
+        typeof files[filePath] !== "string" &&
+        (!files[filePath] || typeof files[filePath] !== "object")
+    );
+    if (malformed.length > 0) {
+      return `File contents must be a string or an object: ${malformed.join(", ")}`;
+    }
+  }
+
+  if (archive !== undefined) {
+    if (!archive?.base64Data) {
+      return "archive.base64Data is required";
+    }
+    if (archive.format && !ARCHIVE_FORMATS.includes(archive.format)) {
+      return `Unsupported archive format: ${archive.format}`;
+    }
+  }
+
+  if (git !== undefined) {
+    if (archive !== undefined) {
+      return "git and archive cannot be combined";
+    }
+    const gitError = validateGitSource(git);
+    if (gitError) {
+      return gitError;
+    }
+  }
+
+  if (mainFile !== undefined && !normalizeProjectPath(mainFile)) {
+    return `Invalid mainFile: ${mainFile}`;
+  }
+  return null;
+}
+
+// Picks the only top-level .tex file that contains a \documentclass
+async function detectMainFile(projectDir) {
+  const candidates = [];
+  for (const entry of await fs.readdir(projectDir)) {
+    if (!entry.endsWith(".tex")) {
+      continue;
+    }
+    const source = await fs.readFile(path.join(projectDir, entry), "utf-8");
+    if (/^[^%\n]*\\documentclass/m.test(source)) {
+      candidates.push(entry);
+    }
+  }
+  if (candidates.length !== 1) {
+    throw new Error(
+      `mainFile is required: found ${candidates.length} top-level documents`
+    );
+  }
+  return candidates[0];
+}
+
+/**
+ * Writes the request's sources into the directory they are compiled in
+ * @param {Object} job - Job whose request should be materialized
+ * @returns {Promise<Object>} - Compile directory and main file name
+ */
+async function materializeSources(job) {
+  const {
+    content,
+    filename,
+    files,
+    archive,
+    git,
+    mainFile,
+    bibliography,
+    imageReferences,
+    template,
+  } = job.request;
+  const isProject =
+    files !== undefined || archive !== undefined || git !== undefined;
+  const workspace = job.cache ? job.cache.buildDir : await createWorkspace(job);
+  // Set up front so a failed build still knows what it wrote
+  const sourceFiles = [];
+  job.sourceFiles = sourceFiles;
+  let mainPath;
+
+  if (isProject) {
+    if (archive) {
+      const entries = await extractArchive(
+        archive,
+        workspace,
+        job.abortController.signal
+      );
+      sourceFiles.push(
+        ...entries
+          .filter((entry) => !entry.endsWith("/"))
+          .map(normalizeProjectPath)
+      );
+    }
+    if (git) {
+      sourceFiles.push(
+        ...(await exportGitTree(job.git, workspace, job.abortController.signal))
+      );
+    }
+    if (files) {
+      sourceFiles.push(...(await writeProjectFiles(files, workspace)));
+    }
+
+    mainPath = resolveProjectPath(
+      workspace,
+      mainFile || (await detectMainFile(workspace))
+    );
+    if (!(await fs.pathExists(mainPath))) {
+      throw new Error(`Main file not found in project: ${mainFile}`);
+    }
+  } else {
+    mainPath = resolveProjectPath(workspace, filename);
+    sourceFiles.push(normalizeProjectPath(filename));
+  }
+
+  const dirPath = path.dirname(mainPath);
+  const baseFilename = path.basename(mainPath);
+
+  logger.debug("Preparing sources", { dirPath, mainFile: baseFilename });
+  await fs.mkdirp(dirPath);
+
+  // Stage the journal template without replacing files the client sent
+  if (template) {
+    await stageTemplate(template, dirPath);
+  }
+
+  // Write the LaTeX content to file
+  if (!isProject) {
+    await fs.writeFile(path.join(dirPath, baseFilename), content, "utf-8");
+  }
+
+  // Handle bibliography if present
+  if (bibliography?.content) {
+    const bibPath = path.join(dirPath, "references.bib");
+    let bibContent = bibliography.content;
+    if (bibliography.enrich) {
+      const enrichment = await enrichBibliography(bibContent);
+      bibContent = enrichment.content;
+      job.bibliographyEnriched = enrichment.enriched;
+      logger.info("Enriched bibliography from the DOI cache", {
+        entries: enrichment.enriched.length,
+      });
+    }
+    await fs.writeFile(bibPath, bibContent, "utf-8");
+    sourceFiles.push(path.relative(workspace, bibPath));
+  }
+
+  // Download images if present
+  if (imageReferences && Object.keys(imageReferences).length > 0) {
+    const downloadResult = await downloadImages(
+      imageReferences,
+      dirPath,
+      (result) => emitJobEvent(job, "image", result),
+      job.abortController.signal
+    );
+    job.images = downloadResult.images;
+  }
+
+  job.mainPath = mainPath;
+  return { dirPath, baseFilename };
+}
+
+// Per-job workspaces
+// Every compile gets its own temporary directory under WORKSPACE_ROOT so
+// requests never see each other's .aux/.pdf files. What happens to it after
+// the job finished is set by WORKSPACE_RETENTION:
+//   delete       - remove as soon as the artifacts were collected (default)
+//   keep-minutes - keep for WORKSPACE_RETENTION_MINUTES, e.g. for debugging
+//   keep-last    - keep the newest WORKSPACE_KEEP_LAST per client
+const WORKSPACE_ROOT = process.env.WORKSPACE_ROOT || "/opt/latexfiles";
+const WORKSPACE_RETENTION_MODES = ["delete", "keep-minutes", "keep-last"];
+let WORKSPACE_RETENTION = process.env.WORKSPACE_RETENTION || "delete";
+const WORKSPACE_RETENTION_MINUTES =
+  parseInt(process.env.WORKSPACE_RETENTION_MINUTES, 10) || 30;
+const WORKSPACE_KEEP_LAST = parseInt(process.env.WORKSPACE_KEEP_LAST, 10) || 5;
+
+if (!WORKSPACE_RETENTION_MODES.includes(WORKSPACE_RETENTION)) {
+  logger.warn("Unknown WORKSPACE_RETENTION, falling back to delete", {
+    retention: WORKSPACE_RETENTION,
+  });
+  WORKSPACE_RETENTION = "delete";
+}
+
+// Finished workspaces kept around by the retention policy, oldest first
+const retainedWorkspaces = [];
+
+// Identifies the client a workspace, project cache or job belongs to
+function getClientId(req) {
+  return req.apiKey.id;
+}
+
+async function createWorkspace(job) {
+  await fs.mkdirp(WORKSPACE_ROOT);
+  job.workspace = await fs.mkdtemp(path.join(WORKSPACE_ROOT, "job-"));
+  logger.debug("Created workspace", {
+    jobId: job.id,
+    workspace: job.workspace,
+  });
+  return job.workspace;
+}
+
+async function removeWorkspace(workspace) {
+  try {
+    await fs.remove(workspace);
+    logger.debug("Removed workspace", { workspace });
+  } catch (error) {
+    logger.warn("Error removing workspace", { workspace, error });
+  }
+}
+
+// Applies the retention policy to the workspace of a finished job
+async function releaseWorkspace(job) {
+  if (!job.workspace) {
+    return;
+  }
+  if (WORKSPACE_RETENTION === "delete") {
+    await removeWorkspace(job.workspace);
+    return;
+  }
+
+  retainedWorkspaces.push({
+    path: job.workspace,
+    clientId: job.clientId,
+    releasedAt: Date.now(),
+  });
+  if (WORKSPACE_RETENTION === "keep-last") {
+    await sweepWorkspaces();
+  }
+}
+
+async function sweepWorkspaces() {
+  const expired = new Set();
+
+  if (WORKSPACE_RETENTION === "keep-last") {
+    const keptPerClient = new Map();
+    for (let i = retainedWorkspaces.length - 1; i >= 0; i--) {
+      const workspace = retainedWorkspaces[i];
+      const kept = keptPerClient.get(workspace.clientId) || 0;
+      if (kept >= WORKSPACE_KEEP_LAST) {
+        expired.add(workspace);
+      }
+      keptPerClient.set(workspace.clientId, kept + 1);
+    }
+  } else {
+    const cutoff = Date.now() - WORKSPACE_RETENTION_MINUTES * 60 * 1000;
+    for (const workspace of retainedWorkspaces) {
+      if (workspace.releasedAt < cutoff) {
+        expired.add(workspace);
+      }
+    }
+  }
+
+  for (const workspace of expired) {
+    retainedWorkspaces.splice(retainedWorkspaces.indexOf(workspace), 1);
+    await removeWorkspace(workspace.path);
+  }
+}
+
+// Workspaces left behind by a previous process can't be attributed to a
+// client any more, so they are removed once they are older than the
+// retention window.
+async function sweepOrphanedWorkspaces() {
+  if (!(await fs.pathExists(WORKSPACE_ROOT))) {
+    return;
+  }
+
+  const cutoff =
+    WORKSPACE_RETENTION === "delete"
+      ? Date.now()
+      : Date.now() - WORKSPACE_RETENTION_MINUTES * 60 * 1000;
+  for (const entry of await fs.readdir(WORKSPACE_ROOT)) {
+    if (!entry.startsWith("job-")) {
+      continue;
+    }
+    const workspace = path.join(WORKSPACE_ROOT, entry);
+    const stats = await fs.stat(workspace);
+    if (stats.mtimeMs < cutoff) {
+      await removeWorkspace(workspace);
+    }
+  }
+}
+
+sweepOrphanedWorkspaces().catch((error) =>
+  logger.warn("Error sweeping orphaned workspaces", { error })
+);
+setInterval(sweepWorkspaces, 60 * 1000).unref();
+
+// Incremental compile cache
+// A request with a `projectId` builds in a persistent per-client directory
+// under CACHE_ROOT instead of a fresh workspace, so .aux/.bbl/.toc survive
+// between compiles. A manifest next to it records the hash of the inputs of
+// the last successful build: an identical resubmission is answered from the
+// cached PDF, anything else rebuilds on top of the previous auxiliary files.
+const CACHE_ROOT =
+  process.env.CACHE_ROOT || path.join(WORKSPACE_ROOT, ".cache");
+const PROJECT_CACHE_TTL_MS =
+  (parseInt(process.env.PROJECT_CACHE_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+const PROJECT_ID_PATTERN = /^[\w-][\w.-]{0,99}$/;
+
+// Serializes builds of the same project directory
+const projectLocks = new Map();
+
+function projectCachePaths(clientId, projectId) {
+  const clientDir = path.join(
+    CACHE_ROOT,
+    crypto
+      .createHash("sha256")
+      .update(String(clientId))
+      .digest("hex")
+      .slice(0, 16)
+  );
+  return {
+    buildDir: path.join(clientDir, projectId),
+    manifestPath: path.join(clientDir, `${projectId}.json`),
+  };
+}
+
+// JSON with sorted object keys, so equal inputs always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Hash of everything that influences the PDF of a job
+function hashCompileInputs(job) {
+  const { projectId, limits, callback, ...inputs } = job.request;
+  return crypto
+    .createHash("sha256")
+    .update(
+      stableStringify({
+        ...inputs,
+        engine: job.engine,
+        recipe: job.recipe,
+        ...(job.git && { commit: job.git.commit }),
+      })
+    )
+    .digest("hex");
+}
+
+async function withProjectLock(key, task) {
+  const previous = projectLocks.get(key) || Promise.resolve();
+  const current = previous.then(task);
+  const settled = current.catch(() => {});
+  projectLocks.set(key, settled);
+  try {
+    return await current;
+  } finally {
+    if (projectLocks.get(key) === settled) {
+      projectLocks.delete(key);
+    }
+  }
+}
+
+async function readCacheManifest(manifestPath) {
+  try {
+    return await fs.readJson(manifestPath);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Hashes what BibTeX/biber read, so an unchanged bibliography can skip them
+ * @param {string} dirPath - Directory the document is compiled in
+ * @param {string} jobname - Main file name without extension
+ * @returns {Promise<string>} - Hash of the citations, databases and .bcf
+ */
+async function bibliographyFingerprint(dirPath, jobname) {
+  const hash = crypto.createHash("sha256");
+  const auxPath = path.join(dirPath, `${jobname}.aux`);
+  const aux = (await fs.pathExists(auxPath))
+    ? await fs.readFile(auxPath, "utf-8")
+    : "";
+  const citationLines = aux
+    .split("\n")
+    .filter((line) => /^\\(?:citation|bibdata|bibstyle)\{/.test(line));
+  hash.update(citationLines.join("\n"));
+
+  const databases = new Set();
+  for (const line of citationLines) {
+    const match = line.match(/^\\bibdata\{([^}]*)\}/);
+    if (match) {
+      match[1]
+        .split(",")
+        .forEach((name) => databases.add(`${name.trim()}.bib`));
+    }
+  }
+  for (const entry of await fs.readdir(dirPath)) {
+    if (entry.endsWith(".bib")) {
+      databases.add(entry);
+    }
+  }
+  for (const database of [...databases].sort()) {
+    try {
+      const databasePath = resolveProjectPath(dirPath, database);
+      if (await fs.pathExists(databasePath)) {
+        hash.update(database).update(await fs.readFile(databasePath));
+      }
+    } catch (error) {
+      // Databases outside the project are not part of the fingerprint
+    }
+  }
+
+  const bcfPath = path.join(dirPath, `${jobname}.bcf`);
+  if (await fs.pathExists(bcfPath)) {
+    hash.update(await fs.readFile(bcfPath));
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Compiles a job with a projectId in its persistent build directory
+ * @param {Object} job - Job whose request names a projectId
+ * @returns {Promise<Object>} - Result of runCompilation, or the cached one on a hit
+ */
+async function runCachedCompilation(job) {
+  const { buildDir, manifestPath } = job.cache;
+
+  return withProjectLock(buildDir, async () => {
+    job.cache.key = hashCompileInputs(job);
+    const manifest = await readCacheManifest(manifestPath);
+    const jobDir = path.join(JOBS_DIR, job.id);
+
+    if (manifest && manifest.key === job.cache.key) {
+      const cachedPdf = path.join(buildDir, manifest.pdfFile);
+      const cachedLog = path.join(buildDir, manifest.logFile);
+      if (await fs.pathExists(cachedPdf)) {
+        job.cache.status = "hit";
+        metrics.cacheLookups.inc({ result: "hit" });
+        logger.info("Project cache hit", { projectId: job.cache.projectId });
+        emitJobEvent(job, "cache", { status: "hit", key: job.cache.key });
+
+        await fs.mkdirp(jobDir);
+        await fs.copy(cachedPdf, path.join(jobDir, "output.pdf"));
+        if (await fs.pathExists(cachedLog)) {
+          await fs.copy(cachedLog, path.join(jobDir, "output.log"));
+        }
+        for (const file of outputFiles(manifest.result.outputs)) {
+          await fs.copy(
+            path.join(buildDir, CACHED_OUTPUTS_DIR, file),
+            path.join(jobDir, file)
+          );
+        }
+        const now = new Date();
+        await fs.utimes(manifestPath, now, now);
+        await fs.utimes(buildDir, now, now);
+        return {
+          ...manifest.result,
+          pdfPath: path.join(jobDir, "output.pdf"),
+          logPath: path.join(jobDir, "output.log"),
+        };
+      }
+    }
+
+    job.cache.status =
+      manifest && (await fs.pathExists(buildDir)) ? "incremental" : "miss";
+    job.cache.bibFingerprint = manifest?.bibFingerprint || null;
+    metrics.cacheLookups.inc({ result: job.cache.status });
+    logger.info("Project cache lookup", {
+      projectId: job.cache.projectId,
+      result: job.cache.status,
+    });
+    emitJobEvent(job, "cache", {
+      status: job.cache.status,
+      key: job.cache.key,
+    });
+
+    // Sources of the previous build go, its auxiliary files stay. Until a
+    // build succeeds the manifest has no key, only the sources the next
+    // build must remove.
+    const writePendingManifest = (sourceFiles) =>
+      fs.writeJson(manifestPath, {
+        sourceFiles,
+        bibFingerprint: job.cache.bibFingerprint,
+      });
+    await fs.mkdirp(buildDir);
+    await writePendingManifest(manifest?.sourceFiles || []);
+    for (const sourceFile of manifest?.sourceFiles || []) {
+      await fs.remove(resolveProjectPath(buildDir, sourceFile));
+    }
+    const now = new Date();
+    await fs.utimes(buildDir, now, now);
+
+    let result;
+    try {
+      result = await runCompilation(job);
+    } catch (error) {
+      await writePendingManifest(job.sourceFiles || []);
+      throw error;
+    }
+
+    await fs.emptyDir(path.join(buildDir, CACHED_OUTPUTS_DIR));
+    for (const file of outputFiles(result.outputs)) {
+      await fs.copy(
+        path.join(jobDir, file),
+        path.join(buildDir, CACHED_OUTPUTS_DIR, file)
+      );
+    }
+
+    const { pdfPath, logPath, ...cachedResult } = result;
+    await fs.writeJson(manifestPath, {
+      key: job.cache.key,
+      pdfFile: path.relative(buildDir, job.mainPath.replace(/\.tex$/, ".pdf")),
+      logFile: path.relative(buildDir, job.mainPath.replace(/\.tex$/, ".log")),
+      sourceFiles: job.sourceFiles,
+      bibFingerprint: job.cache.bibFingerprint,
+      builtAt: new Date(),
+      result: cachedResult,
+    });
+    return result;
+  });
+}
+
+// Removes project caches nobody compiled for PROJECT_CACHE_TTL_MS
+async function sweepProjectCaches() {
+  if (!(await fs.pathExists(CACHE_ROOT))) {
+    return;
+  }
+
+  const cutoff = Date.now() - PROJECT_CACHE_TTL_MS;
+  for (const clientEntry of await fs.readdir(CACHE_ROOT)) {
+    const clientDir = path.join(CACHE_ROOT, clientEntry);
+    for (const entry of await fs.readdir(clientDir)) {
+      const entryPath = path.join(clientDir, entry);
+      if (projectLocks.has(entryPath.replace(/\.json$/, ""))) {
+        continue;
+      }
+      if ((await fs.stat(entryPath)).mtimeMs < cutoff) {
+        await fs.remove(entryPath);
+        logger.info("Removed expired project cache", { path: entryPath });
+      }
+    }
+  }
+}
+
+setInterval(
+  () =>
+    sweepProjectCaches().catch((error) =>
+      logger.warn("Error sweeping project caches", { error })
+    ),
+  10 * 60 * 1000
+).unref();
+
+app.delete(
+  "/projects/:projectId/cache",
+  requireScope("compile"),
+  async (req, res, next) => {
+    const { projectId } = req.params;
+    if (!PROJECT_ID_PATTERN.test(projectId)) {
+      return res.status(400).json({ error: `Invalid projectId: ${projectId}` });
+    }
+
+    try {
+      const { buildDir, manifestPath } = projectCachePaths(
+        getClientId(req),
+        projectId
+      );
+      const purged = await withProjectLock(buildDir, async () => {
+        const existed =
+          (await fs.pathExists(buildDir)) ||
+          (await fs.pathExists(manifestPath));
+        await fs.remove(buildDir);
+        await fs.remove(manifestPath);
+        return existed;
+      });
+      logger.info("Purged project cache", { projectId, purged });
+      res.json({ projectId, purged });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Git sources
+// Instead of sending its files a request can name a git repository with
+// `git: { repository, revision }` plus the `mainFile` to compile; revision is
+// a branch, tag or commit and defaults to HEAD. Repositories are the names
+// configured in GIT_REPOSITORIES as name=url pairs, e.g.
+// "paper=https://git.example.org/paper.git,thesis=/srv/git/thesis", or, when
+// GIT_LOCAL_ROOT is set, paths of repositories below that directory. Each is
+// cloned once as a bare mirror under GIT_MIRROR_ROOT and fetched again when a
+// branch or tag is asked for and the last fetch is older than
+// GIT_FETCH_INTERVAL_SECONDS. The tree of the resolved commit (without
+// submodules) is exported into the job workspace, a `files` map may overlay
+// it, and the commit is reported as `git.commit` with the result.
+const GIT_COMMAND = process.env.GIT_COMMAND || "git";
+const GIT_MIRROR_ROOT =
+  process.env.GIT_MIRROR_ROOT || path.join(WORKSPACE_ROOT, ".git-mirrors");
+const GIT_LOCAL_ROOT = process.env.GIT_LOCAL_ROOT
+  ? path.resolve(process.env.GIT_LOCAL_ROOT)
+  : null;
+const GIT_FETCH_INTERVAL_MS =
+  (parseInt(process.env.GIT_FETCH_INTERVAL_SECONDS, 10) || 60) * 1000;
+const GIT_TIMEOUT_MS =
+  (parseInt(process.env.GIT_TIMEOUT_SECONDS, 10) || 300) * 1000;
+const GIT_REVISION_PATTERN = /^(?!-)[\w./~^@{}-]{1,200}$/;
+const GIT_COMMIT_PATTERN = /^(?:[0-9a-f]{40}|[0-9a-f]{64})$/;
+const GIT_REPOSITORIES = new Map(
+  (process.env.GIT_REPOSITORIES || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry)
+    .map((entry) => {
+      const separator = entry.indexOf("=");
+      const name = entry.slice(0, separator).trim();
+      const url = entry.slice(separator + 1).trim();
+      if (separator < 1 || !PROJECT_ID_PATTERN.test(name) || !url) {
+        throw new Error(`Invalid GIT_REPOSITORIES entry: ${entry}`);
+      }
+      return [name, url];
+    })
+);
+const GIT_OPTIONS = {
+  stdio: ["ignore", "pipe", "pipe"],
+  timeout: GIT_TIMEOUT_MS,
+  env: { ...process.env, GIT_TERMINAL_PROMPT: "0" },
+};
+
+// When each mirror was last fetched, so busy branches are not fetched per job
+const gitFetchedAt = new Map();
+
+const gitSourcesEnabled = () => GIT_REPOSITORIES.size > 0 || !!GIT_LOCAL_ROOT;
+
+// URL or path of the repository a request names, or null if it is not allowed
+function gitRepositoryUrl(repository) {
+  if (GIT_REPOSITORIES.has(repository)) {
+    return GIT_REPOSITORIES.get(repository);
+  }
+  if (GIT_LOCAL_ROOT && normalizeProjectPath(repository)) {
+    return resolveProjectPath(GIT_LOCAL_ROOT, repository);
+  }
+  return null;
+}
+
+const gitMirrorPath = (url) =>
+  path.join(
+    GIT_MIRROR_ROOT,
+    `${crypto.createHash("sha256").update(url).digest("hex").slice(0, 24)}.git`
+  );
+
+// Returns an error message if the git source of a request is unusable
+function validateGitSource(git) {
+  if (!gitSourcesEnabled()) {
+    return "Git sources are not configured on this server";
+  }
+  if (!git || typeof git !== "object" || typeof git.repository !== "string") {
+    return "git.repository is required";
+  }
+  if (!gitRepositoryUrl(git.repository)) {
+    return `Unknown git repository: ${git.repository}`;
+  }
+  if (
+    git.revision !== undefined &&
+    (typeof git.revision !== "string" ||
+      !GIT_REVISION_PATTERN.test(git.revision))
+  ) {
+    return `Invalid git revision: ${git.revision}`;
+  }
+  return null;
+}
+
+// Runs git without terminal prompts, failing with its stderr
+async function runGit(args, signal) {
+  const { code, stdout, stderr } = await runCommand(GIT_COMMAND, args, {
+    ...GIT_OPTIONS,
+    signal,
+  });
+  if (code !== 0) {
+    const subcommand = args.find((arg) => !arg.startsWith("-"));
+    throw new Error(
+      `git ${subcommand} failed: ${stderr.trim() || `exit code ${code}`}`
+    );
+  }
+  return stdout;
+}
+
+// Commit a revision names in a mirror, or null if it has none
+async function findGitCommit(mirrorPath, revision, signal) {
+  const { code, stdout } = await runCommand(
+    GIT_COMMAND,
+    [
+      `--git-dir=${mirrorPath}`,
+      "rev-parse",
+      "--verify",
+      "--quiet",
+      `${revision}^{commit}`,
+    ],
+    { ...GIT_OPTIONS, signal }
+  );
+  return code === 0 ? stdout.trim() : null;
+}
+
+// Clones next to the mirror first, so a failed clone never leaves one behind
+async function cloneGitMirror(url, mirrorPath, signal) {
+  const tempPath = `${mirrorPath}.${process.pid}.tmp`;
+  await fs.mkdirp(GIT_MIRROR_ROOT);
+  await fs.remove(tempPath);
+  try {
+    await runGit(["clone", "--mirror", "--quiet", "--", url, tempPath], signal);
+    await fs.move(tempPath, mirrorPath);
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+}
+
+/**
+ * Resolves the revision of a request's git source to a commit, cloning or
+ * fetching the repository's mirror as needed
+ * @param {Object} git - { repository, revision } from the request
+ * @param {AbortSignal} [signal] - Stops git when the job is aborted
+ * @returns {Promise<Object>} - Repository, revision and resolved commit
+ */
+async function resolveGitSource(git, signal) {
+  const url = gitRepositoryUrl(git.repository);
+  const mirrorPath = gitMirrorPath(url);
+  const revision = git.revision || "HEAD";
+
+  return withProjectLock(mirrorPath, async () => {
+    const fetch = async () => {
+      if (await fs.pathExists(mirrorPath)) {
+        await runGit(
+          [`--git-dir=${mirrorPath}`, "fetch", "--prune", "--quiet", "origin"],
+          signal
+        );
+      } else {
+        await cloneGitMirror(url, mirrorPath, signal);
+      }
+      gitFetchedAt.set(mirrorPath, Date.now());
+      logger.info("Updated git mirror", { repository: git.repository });
+    };
+
+    // Commits never change, branches and tags may have moved since
+    let fetched = false;
+    if (
+      !(await fs.pathExists(mirrorPath)) ||
+      (!GIT_COMMIT_PATTERN.test(revision) &&
+        Date.now() - (gitFetchedAt.get(mirrorPath) || 0) >=
+          GIT_FETCH_INTERVAL_MS)
+    ) {
+      await fetch();
+      fetched = true;
+    }
+    let commit = await findGitCommit(mirrorPath, revision, signal);
+    if (!commit && !fetched) {
+      await fetch();
+      commit = await findGitCommit(mirrorPath, revision, signal);
+    }
+    if (!commit) {
+      throw new Error(`Revision not found in ${git.repository}: ${revision}`);
+    }
+
+    logger.info("Resolved git revision", {
+      repository: git.repository,
+      revision,
+      commit,
+    });
+    return { repository: git.repository, revision, commit };
+  });
+}
+
+/**
+ * Writes the tree of a resolved git source into the project directory
+ * @param {Object} source - { repository, commit } from resolveGitSource
+ * @param {string} projectDir - Directory to export into
+ * @param {AbortSignal} [signal] - Stops git and tar when the job is aborted
+ * @returns {Promise<string[]>} - Exported file paths
+ */
+async function exportGitTree(source, projectDir, signal) {
+  const mirrorPath = gitMirrorPath(gitRepositoryUrl(source.repository));
+  const archivePath = `${projectDir}.tar`;
+  try {
+    await runGit(
+      [
+        `--git-dir=${mirrorPath}`,
+        "archive",
+        "--format=tar",
+        `--output=${archivePath}`,
+        source.commit,
+      ],
+      signal
+    );
+    const entries = await extractArchiveFile(
+      archivePath,
+      "tar",
+      projectDir,
+      signal
+    );
+    return entries
+      .filter((entry) => !entry.endsWith("/"))
+      .map(normalizeProjectPath);
+  } finally {
+    await fs.remove(archivePath);
+  }
+}
+
+// Content-addressed asset store
+// Images and other binaries can be uploaded once with POST /assets and then
+// referenced from compile requests by their SHA-256 hash ({ hash } in
+// imageReferences or in the files map). Blobs live under ASSETS_DIR as
+// <first two hex chars>/<hash>; their mtime is refreshed whenever a request
+// references them, and blobs unreferenced for ASSET_TTL_HOURS are removed.
+const ASSETS_DIR =
+  process.env.ASSETS_DIR || path.join(WORKSPACE_ROOT, ".assets");
+const ASSET_TTL_MS =
+  (parseInt(process.env.ASSET_TTL_HOURS, 10) || 7 * 24) * 60 * 60 * 1000;
+const ASSET_MAX_BYTES =
+  parseInt(process.env.ASSET_MAX_BYTES, 10) || 50 * 1024 * 1024;
+const ASSET_HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+const isAssetHash = (hash) =>
+  typeof hash === "string" && ASSET_HASH_PATTERN.test(hash);
+
+const assetPath = (hash) => path.join(ASSETS_DIR, hash.slice(0, 2), hash);
+
+// Every asset hash a compile request refers to
+function collectAssetHashes(request) {
+  const hashes = new Set();
+  for (const image of Object.values(request?.imageReferences || {})) {
+    if (image?.hash !== undefined) {
+      hashes.add(image.hash);
+    }
+  }
+  for (const file of Object.values(request?.files || {})) {
+    if (file?.hash !== undefined) {
+      hashes.add(file.hash);
+    }
+  }
+  return [...hashes];
+}
+
+/**
+ * Stores a blob under its SHA-256 hash
+ * @param {Buffer} buffer - Asset contents
+ * @returns {Promise<Object>} - Hash, size and whether the blob was new
+ */
+async function storeAsset(buffer) {
+  const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+  const blobPath = assetPath(hash);
+
+  if (await fs.pathExists(blobPath)) {
+    const now = new Date();
+    await fs.utimes(blobPath, now, now);
+    return { hash, size: buffer.length, created: false };
+  }
+
+  // Write then rename so a concurrent reader never sees a partial blob
+  await fs.mkdirp(path.dirname(blobPath));
+  const tempPath = `${blobPath}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tempPath, buffer);
+  await fs.move(tempPath, blobPath, { overwrite: true });
+  logger.info("Stored asset", { hash, bytes: buffer.length });
+  return { hash, size: buffer.length, created: true };
+}
+
+/**
+ * Splits hashes into stored and missing ones, marking the stored ones as used
+ * @param {string[]} hashes - Asset hashes to look up
+ * @returns {Promise<Object>} - { present, missing } hash lists
+ */
+async function checkAssets(hashes) {
+  const present = [];
+  const missing = [];
+  const now = new Date();
+
+  for (const hash of hashes) {
+    try {
+      await fs.utimes(assetPath(hash), now, now);
+      present.push(hash);
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw error;
+      }
+      missing.push(hash);
+    }
+  }
+  return { present, missing };
+}
+
+async function readAsset(hash) {
+  try {
+    return await fs.readFile(assetPath(hash));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`Asset not found: ${hash}`);
+    }
+    throw error;
+  }
+}
+
+async function copyAsset(hash, outputPath) {
+  if (!(await fs.pathExists(assetPath(hash)))) {
+    throw new Error(`Asset not found: ${hash}`);
+  }
+  await fs.copy(assetPath(hash), outputPath);
+}
+
+// Removes blobs no request referenced for ASSET_TTL_MS, unless a queued or
+// running job still needs them
+async function sweepAssets() {
+  if (!(await fs.pathExists(ASSETS_DIR))) {
+    return;
+  }
+
+  const pinned = new Set();
+  for (const job of jobs.values()) {
+    if (job.status === "queued" || job.status === "running") {
+      collectAssetHashes(job.request).forEach((hash) => pinned.add(hash));
+    }
+  }
+
+  const cutoff = Date.now() - ASSET_TTL_MS;
+  let removed = 0;
+  for (const prefix of await fs.readdir(ASSETS_DIR)) {
+    const prefixDir = path.join(ASSETS_DIR, prefix);
+    for (const entry of await fs.readdir(prefixDir)) {
+      if (pinned.has(entry)) {
+        continue;
+      }
+      const entryPath = path.join(prefixDir, entry);
+      if ((await fs.stat(entryPath)).mtimeMs < cutoff) {
+        await fs.remove(entryPath);
+        removed++;
+      }
+    }
+  }
+  if (removed > 0) {
+    logger.info("Removed unreferenced assets", { removed });
+  }
+}
+
+setInterval(
+  () =>
+    sweepAssets().catch((error) =>
+      logger.warn("Error sweeping assets", { error })
+    ),
+  10 * 60 * 1000
+).unref();
+
+// Upload a blob, either as a raw application/octet-stream body or as
+// JSON { base64Data }
+app.post(
+  "/assets",
+  requireScope("compile"),
+  express.raw({ type: "application/octet-stream", limit: ASSET_MAX_BYTES }),
+  async (req, res, next) => {
+    let buffer;
+    if (Buffer.isBuffer(req.body)) {
+      buffer = req.body;
+    } else if (typeof req.body?.base64Data === "string") {
+      buffer = Buffer.from(req.body.base64Data, "base64");
+    }
+    if (!buffer || buffer.length === 0) {
+      return res.status(400).json({
+        error:
+          "Send the asset as an application/octet-stream body or as JSON { base64Data }",
+      });
+    }
+    if (buffer.length > ASSET_MAX_BYTES) {
+      return res.status(413).json({
+        error: `Asset is ${buffer.length} bytes, limit is ${ASSET_MAX_BYTES}`,
+      });
+    }
+
+    try {
+      const asset = await storeAsset(buffer);
+      res.status(asset.created ? 201 : 200).json(asset);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Tells a client which of the assets it is about to reference must be uploaded
+app.post("/assets/check", requireScope("compile"), async (req, res, next) => {
+  const { hashes } = req.body || {};
+  if (!Array.isArray(hashes)) {
+    return res.status(400).json({ error: "hashes must be an array" });
+  }
+  const invalid = hashes.filter((hash) => !isAssetHash(hash));
+  if (invalid.length > 0) {
+    return res
+      .status(400)
+      .json({ error: `Invalid asset hashes: ${invalid.join(", ")}` });
+  }
+
+  try {
+    res.json(await checkAssets([...new Set(hashes)]));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get("/assets/:hash", requireScope("compile"), async (req, res, next) => {
+  if (!isAssetHash(req.params.hash)) {
+    return res
+      .status(400)
+      .json({ error: `Invalid asset hash: ${req.params.hash}` });
+  }
+
+  try {
+    const stats = await fs.stat(assetPath(req.params.hash));
+    res.json({
+      hash: req.params.hash,
+      size: stats.size,
+      lastUsedAt: stats.mtime,
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ error: "Asset not found" });
+    }
+    next(error);
+  }
+});
+
+// Compile job queue
+// Every compile runs through a bounded worker queue so concurrent requests
+// can't spawn an unlimited number of lualatex processes on the single PM2
+// instance. Finished jobs keep their PDF and log in JOBS_DIR until they expire.
+const COMPILE_CONCURRENCY = parseInt(process.env.COMPILE_CONCURRENCY, 10) || 2;
+const JOBS_DIR = process.env.JOBS_DIR || path.join(WORKSPACE_ROOT, ".jobs");
+const JOB_TTL_MS =
+  (parseInt(process.env.JOB_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+const JOB_EVENT_HISTORY = 2000;
+const SSE_HEARTBEAT_MS = 15000;
+
+const jobs = new Map();
+const jobQueue = [];
+let activeJobs = 0;
+
+/**
+ * Creates a compile job and registers it in the job table
+ * @param {Object} request - Validated compile request body
+ * @param {string} clientId - Client the job is accounted to
+ * @returns {Object} - The new job, in the "queued" state
+ */
+function createJob(request, clientId) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    request,
+    clientId,
+    // Log lines of the job carry the ID of the request that submitted it
+    requestId: logContext.getStore()?.requestId,
+    engine: resolveEngine(request),
+    recipe: request.recipe || "auto",
+    limits: resolveLimits(request.limits),
+    limitExceeded: null,
+    abortError: null,
+    // Aborts downloads and helper programs outside the TeX passes
+    abortController: new AbortController(),
+    activeChild: null,
+    outputBytes: 0,
+    workspace: null,
+    cache: request.projectId
+      ? {
+          projectId: request.projectId,
+          ...projectCachePaths(clientId, request.projectId),
+          key: null,
+          status: null,
+          bibFingerprint: null,
+        }
+      : null,
+    images: null,
+    sandboxViolations: [],
+    callbackId: null,
+    deliveries: [],
+    bibliographyEnriched: null,
+    passes: [],
+    totalPasses: null,
+    result: null,
+    error: null,
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    events: [],
+    eventCount: 0,
+    emitter: new EventEmitter(),
+  };
+  job.emitter.setMaxListeners(100);
+  job.finished = new Promise((resolve) => {
+    job.resolveFinished = resolve;
+  });
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Records a progress event on the job and pushes it to live subscribers
+ * @param {Object} job - Job the event belongs to
+ * @param {string} type - Event name, e.g. "pass-start" or "log"
+ * @param {Object} data - JSON payload of the event
+ */
+function emitJobEvent(job, type, data) {
+  const event = { id: ++job.eventCount, type, data };
+  job.events.push(event);
+  if (job.events.length > JOB_EVENT_HISTORY) {
+    job.events.shift();
+  }
+  job.emitter.emit("event", event);
+}
+
+function enqueueJob(job) {
+  jobQueue.push(job);
+  emitJobEvent(job, "status", { status: "queued" });
+  logger.info("Job queued", {
+    jobId: job.id,
+    queueLength: jobQueue.length,
+    activeJobs,
+    concurrency: COMPILE_CONCURRENCY,
+  });
+  processQueue();
+  return job;
+}
+
+function processQueue() {
+  while (activeJobs < COMPILE_CONCURRENCY && jobQueue.length > 0) {
+    const job = jobQueue.shift();
+    activeJobs++;
+    logContext
+      .run({ requestId: job.requestId, jobId: job.id }, () => runJob(job))
+      .finally(() => {
+        activeJobs--;
+        processQueue();
+      });
+  }
+}
+
+async function runJob(job) {
+  job.status = "running";
+  job.startedAt = new Date();
+  metrics.queueWait.observe({}, seconds(job.createdAt, job.startedAt));
+  logger.info("Job started");
+  emitJobEvent(job, "status", { status: "running" });
+
+  const wallTimer = setTimeout(
+    () =>
+      abortJob(
+        job,
+        limitExceededError("wallTime", job.limits.wallTime, job.limits.wallTime)
+      ),
+    job.limits.wallTime * 1000
+  );
+
+  try {
+    if (job.request.git) {
+      job.git = await resolveGitSource(
+        job.request.git,
+        job.abortController.signal
+      );
+      emitJobEvent(job, "git", job.git);
+    }
+    job.result = job.cache
+      ? await runCachedCompilation(job)
+      : await runCompilation(job);
+    job.status = "done";
+    emitJobEvent(job, "artifact", { name: "pdf", url: `/jobs/${job.id}/pdf` });
+  } catch (error) {
+    logger.warn("Job failed", { error: error.message });
+    job.failureReason = failureReason(error);
+    job.status = error.code === "JOB_CANCELLED" ? "cancelled" : "failed";
+    job.error = error.message;
+    job.limitExceeded = error.limit || null;
+    job.result = error.result || null;
+  } finally {
+    clearTimeout(wallTimer);
+    await releaseWorkspace(job);
+    job.finishedAt = new Date();
+    recordCompileUsage(job);
+    recordJobMetrics(job);
+    logger.info("Job finished", {
+      status: job.status,
+      durationMs: job.finishedAt - job.startedAt,
+    });
+    emitJobEvent(job, job.status, {
+      status: job.status,
+      error: job.error,
+      limit: job.limitExceeded,
+      summary: job.result?.summary,
+      durationMs: job.finishedAt - job.startedAt,
+    });
+    job.resolveFinished(job);
+    notifyCallback(job);
+  }
+}
+
+// Failure reason label of a failed or cancelled job
+function failureReason(error) {
+  if (error.code === "JOB_CANCELLED") {
+    return "cancelled";
+  }
+  if (error.limit) {
+    return `limit_${error.limit.name}`;
+  }
+  return error.code === "NO_PDF" ? "no_pdf" : "error";
+}
+
+function recordJobMetrics(job) {
+  metrics.compileJobs.inc({
+    status: job.status,
+    template: job.request.template || "none",
+    engine: job.engine,
+  });
+  if (job.status !== "done") {
+    metrics.compileFailures.inc({ reason: job.failureReason || "cancelled" });
+  }
+  if (job.startedAt) {
+    metrics.compileDuration.observe(
+      { status: job.status },
+      seconds(job.startedAt, job.finishedAt)
+    );
+  }
+}
+
+function serializeCache(job) {
+  if (!job.cache) {
+    return undefined;
+  }
+  const { projectId, status, key } = job.cache;
+  return { projectId, status, key };
+}
+
+// Public view of a job, as returned by the job endpoints
+function serializeJob(job) {
+  const currentPass = job.passes.find((pass) => pass.status === "running");
+  return {
+    id: job.id,
+    status: job.status,
+    engine: job.engine,
+    recipe: job.recipe,
+    queuePosition:
+      job.status === "queued" ? jobQueue.indexOf(job) + 1 : undefined,
+    progress: {
+      completedPasses: job.passes.filter((pass) => pass.status !== "running")
+        .length,
+      totalPasses: job.totalPasses,
+      currentPass: currentPass ? currentPass.name : null,
+    },
+    passes: job.passes,
+    limits: job.limits,
+    cache: serializeCache(job),
+    git: job.git,
+    images: job.images,
+    sandbox: serializeSandbox(job),
+    error: job.error,
+    limitExceeded: job.limitExceeded,
+    // errors and warnings predate the diagnostics and stay for old clients
+    errors: job.result?.errors,
+    warnings: job.result?.warnings,
+    summary: job.result?.summary,
+    diagnostics: job.result?.diagnostics,
+    outputs: serializeOutputs(job),
+    preflight: job.result?.preflight,
+    analysis: job.result?.analysis,
+    bibliography: job.result?.bibliography,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    links: {
+      self: `/jobs/${job.id}`,
+      pdf: `/jobs/${job.id}/pdf`,
+      log: `/jobs/${job.id}/log`,
+      diagnostics: `/jobs/${job.id}/diagnostics`,
+      events: `/jobs/${job.id}/events`,
+      cancel: `/jobs/${job.id}/cancel`,
+      deliveries: `/jobs/${job.id}/deliveries`,
+    },
+  };
+}
+
+// Drop finished jobs and their artifacts once they are older than JOB_TTL_MS
+async function sweepExpiredJobs() {
+  const now = Date.now();
+  for (const job of jobs.values()) {
+    if (!job.finishedAt || now - job.finishedAt.getTime() < JOB_TTL_MS) {
+      continue;
+    }
+    jobs.delete(job.id);
+    try {
+      await fs.remove(path.join(JOBS_DIR, job.id));
+      logger.debug("Expired job", { jobId: job.id });
+    } catch (error) {
+      logger.warn("Error removing job artifacts", { jobId: job.id, error });
+    }
+  }
+}
+
+setInterval(sweepExpiredJobs, 60 * 1000).unref();
+
+// Webhook callbacks
+// A compile request with `callback: { url, secret }` gets a POST to url when
+// its job has finished, so clients neither hold /compile open nor poll. The
+// JSON body has the job's status, diagnostics summary, timings and links
+// made absolute with PUBLIC_BASE_URL, without which callbacks are refused.
+// Every attempt is signed with the request's secret, or WEBHOOK_SECRET when
+// it has none:
+//   X-Webhook-Timestamp: unix seconds
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// Receivers should also check the timestamp is recent. Anything but a 2xx
+// answer is retried, up to WEBHOOK_MAX_ATTEMPTS attempts in all, first after
+// WEBHOOK_RETRY_SECONDS and doubling from there. GET /jobs/:id/deliveries
+// lists the attempts. Callback hosts are checked like image hosts, with
+// WEBHOOK_HOST_ALLOWLIST and WEBHOOK_ALLOW_PRIVATE_NETWORKS.
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_MAX_ATTEMPTS =
+  parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const WEBHOOK_RETRY_MS =
+  (parseInt(process.env.WEBHOOK_RETRY_SECONDS, 10) || 10) * 1000;
+const WEBHOOK_TIMEOUT_MS =
+  (parseInt(process.env.WEBHOOK_TIMEOUT_SECONDS, 10) || 10) * 1000;
+const WEBHOOK_HOST_ALLOWLIST = (process.env.WEBHOOK_HOST_ALLOWLIST || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter((host) => host);
+const WEBHOOK_ALLOW_PRIVATE_NETWORKS =
+  process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === "true";
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "");
+
+const webhookHttpAgent = new http.Agent({
+  lookup: publicOnlyLookup(WEBHOOK_ALLOW_PRIVATE_NETWORKS),
+});
+const webhookHttpsAgent = new https.Agent({
+  lookup: publicOnlyLookup(WEBHOOK_ALLOW_PRIVATE_NETWORKS),
+});
+
+// Throws if a callback URL may not be called
+function checkCallbackUrl(url) {
+  const parsed = new URL(url);
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new Error(`Unsupported protocol: ${parsed.protocol}`);
+  }
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (
+    WEBHOOK_HOST_ALLOWLIST.length > 0 &&
+    !WEBHOOK_HOST_ALLOWLIST.some((pattern) => hostMatches(hostname, pattern))
+  ) {
+    throw new Error(`Callback host is not allowed: ${hostname}`);
+  }
+  if (
+    net.isIP(hostname) &&
+    isBlockedAddress(hostname, WEBHOOK_ALLOW_PRIVATE_NETWORKS)
+  ) {
+    throw new Error(`Callback host is a private address: ${hostname}`);
+  }
+}
+
+// Returns an error message if the `callback` of a request is unusable
+function validateCallback(callback) {
+  if (callback === undefined) {
+    return null;
+  }
+  if (!callback || typeof callback.url !== "string") {
+    return "callback must be { url, secret }";
+  }
+  if (!PUBLIC_BASE_URL) {
+    return "Callbacks need PUBLIC_BASE_URL to be configured on this server";
+  }
+  try {
+    checkCallbackUrl(callback.url);
+  } catch (error) {
+    return `Invalid callback.url: ${error.message}`;
+  }
+  if (
+    callback.secret !== undefined &&
+    (typeof callback.secret !== "string" || callback.secret.length < 16)
+  ) {
+    return "callback.secret must be a string of at least 16 characters";
+  }
+  if (!callback.secret && !WEBHOOK_SECRET) {
+    return "callback.secret is required";
+  }
+  return null;
+}
+
+// Body of the callback of a finished job; the same for every attempt
+function callbackPayload(job) {
+  const { links } = serializeJob(job);
+  return {
+    id: job.callbackId,
+    event: "job.finished",
+    job: {
+      id: job.id,
+      status: job.status,
+      engine: job.engine,
+      recipe: job.recipe,
+      error: job.error,
+      limitExceeded: job.limitExceeded,
+      summary: job.result?.summary,
+      cache: serializeCache(job),
+      git: job.git,
+      timings: {
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        queuedMs: (job.startedAt || job.finishedAt) - job.createdAt,
+        durationMs: job.startedAt ? job.finishedAt - job.startedAt : null,
+      },
+      links: Object.fromEntries(
+        Object.entries(links).map(([name, link]) => [
+          name,
+          `${PUBLIC_BASE_URL}${link}`,
+        ])
+      ),
+    },
+  };
+}
+
+/**
+ * Posts the callback of a finished job, scheduling a retry when it fails
+ * @param {Object} job - Finished job with a callback
+ * @param {number} attempt - 1 for the first delivery
+ */
+async function deliverCallback(job, attempt) {
+  const { url, secret } = job.request.callback;
+  const body = JSON.stringify(callbackPayload(job));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto
+    .createHmac("sha256", secret || WEBHOOK_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  const delivery = {
+    attempt,
+    sentAt: new Date(),
+    status: null,
+    error: null,
+    durationMs: null,
+    nextAttemptAt: null,
+  };
+  job.deliveries.push(delivery);
+
+  try {
+    checkCallbackUrl(url);
+    const response = await axios({
+      method: "POST",
+      url,
+      data: body,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": job.callbackId,
+        "X-Webhook-Attempt": String(attempt),
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": `sha256=${signature}`,
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      maxContentLength: 64 * 1024,
+      httpAgent: webhookHttpAgent,
+      httpsAgent: webhookHttpsAgent,
+      proxy: false,
+      validateStatus: false,
+    });
+    delivery.status = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      delivery.error = `HTTP status ${response.status}`;
+    }
+  } catch (error) {
+    delivery.error = error.message;
+  }
+  delivery.durationMs = Date.now() - delivery.sentAt;
+
+  const fields = {
+    jobId: job.id,
+    url: loggableUrl(url),
+    attempt,
+    status: delivery.status,
+  };
+  if (!delivery.error) {
+    metrics.webhookDeliveries.inc({ result: "success" });
+    logger.info("Callback delivered", fields);
+    return;
+  }
+  metrics.webhookDeliveries.inc({ result: "failure" });
+  if (attempt >= WEBHOOK_MAX_ATTEMPTS) {
+    logger.error("Giving up on callback", { ...fields, error: delivery.error });
+    return;
+  }
+  const delay = WEBHOOK_RETRY_MS * 2 ** (attempt - 1);
+  delivery.nextAttemptAt = new Date(Date.now() + delay);
+  logger.warn("Callback failed", {
+    ...fields,
+    error: delivery.error,
+    retryInMs: delay,
+  });
+  setTimeout(() => deliverCallback(job, attempt + 1), delay).unref();
+}
+
+function notifyCallback(job) {
+  if (job.request.callback) {
+    job.callbackId = crypto.randomUUID();
+    deliverCallback(job, 1);
+  }
+}
+
+// Job limits and cancellation
+// Requests may tighten these through `limits`, never raise them:
+//   wallTime       - seconds for the whole job
+//   cpuTime        - CPU seconds for any single TeX or helper process
+//   maxOutputBytes - console output of all passes together
+//   maxPdfBytes    - size of the generated PDF
+//   maxPages       - pages of the generated PDF
+// Every pass runs in its own process group so cancelling or hitting a limit
+// kills whatever the engine started as well.
+const JOB_LIMITS = {
+  wallTime: parseInt(process.env.JOB_MAX_WALL_TIME_SECONDS, 10) || 600,
+  cpuTime: parseInt(process.env.JOB_MAX_CPU_SECONDS, 10) || 300,
+  maxOutputBytes:
+    parseInt(process.env.JOB_MAX_OUTPUT_BYTES, 10) || 10 * 1024 * 1024,
+  maxPdfBytes: parseInt(process.env.JOB_MAX_PDF_BYTES, 10) || 50 * 1024 * 1024,
+  maxPages: parseInt(process.env.JOB_MAX_PAGES, 10) || 500,
+};
+const JOB_LIMIT_UNITS = {
+  wallTime: "seconds",
+  cpuTime: "seconds",
+  maxOutputBytes: "bytes",
+  maxPdfBytes: "bytes",
+  maxPages: "pages",
+};
+
+// Per-job limits: the requested values capped at the server maximums
+function resolveLimits(requested = {}) {
+  const limits = {};
+  for (const [name, max] of Object.entries(JOB_LIMITS)) {
+    limits[name] =
+      requested[name] !== undefined ? Math.min(requested[name], max) : max;
+  }
+  return limits;
+}
+
+// Returns an error message if the `limits` of a request are unusable
+function validateLimits(limits) {
+  if (limits === undefined) {
+    return null;
+  }
+  if (!limits || typeof limits !== "object" || Array.isArray(limits)) {
+    return "limits must be an object";
+  }
+  for (const [name, value] of Object.entries(limits)) {
+    if (!Object.prototype.hasOwnProperty.call(JOB_LIMITS, name)) {
+      return `Unknown limit: ${name}. Expected one of ${Object.keys(JOB_LIMITS).join(", ")}`;
+    }
+    if (!Number.isFinite(value) || value <= 0) {
+      return `Limit ${name} must be a positive number`;
+    }
+    // ulimit only takes whole seconds
+    if (name === "cpuTime" && !Number.isInteger(value)) {
+      return "Limit cpuTime must be a whole number of seconds";
+    }
+  }
+  return null;
+}
+
+function limitExceededError(limit, max, actual) {
+  const error = new Error(
+    `Job exceeded its ${limit} limit of ${max} ${JOB_LIMIT_UNITS[limit]}`
+  );
+  error.code = "LIMIT_EXCEEDED";
+  error.limit = { name: limit, max, actual, unit: JOB_LIMIT_UNITS[limit] };
+  return error;
+}
+
+function cancelledError() {
+  const error = new Error("Compilation cancelled");
+  error.code = "JOB_CANCELLED";
+  return error;
+}
+
+function killProcessTree(child) {
+  try {
+    process.kill(-child.pid, "SIGKILL");
+  } catch (error) {
+    child.kill("SIGKILL");
+  }
+}
+
+// Stops a running job: the current pass, download or helper program is
+// stopped and the next check throws `error`
+function abortJob(job, error) {
+  if (job.abortError) {
+    return;
+  }
+  logger.warn("Aborting job", { jobId: job.id, reason: error.message });
+  job.abortError = error;
+  job.abortController.abort(error);
+  if (job.activeChild) {
+    killProcessTree(job.activeChild);
+  }
+}
+
+function throwIfAborted(job) {
+  if (job.abortError) {
+    throw job.abortError;
+  }
+}
+
+// TeX sandbox
+// Every pass runs with kpathsea's paranoid file access (no parent
+// directories, no dot files, absolute paths only inside the compile
+// directory), shell escape disabled unless the request allow-lists commands
+// from TEX_SHELL_ESCAPE_COMMANDS, and an environment without the service's
+// own settings and secrets. lualatex also gets --safer and --nosocket unless
+// TEX_LUA_SAFER=false. Neither covers reads through Lua's io library, so
+// \directlua can still open any file the pass's user can read; only
+// TEX_SANDBOX=user or bwrap keeps it away from the server's files. Without
+// them the server warns at startup, and TEX_REQUIRE_LUA_ISOLATION=true
+// refuses lualatex compiles altogether.
+// TEX_SANDBOX adds process isolation:
+//   none  - passes run as the server user
+//   user  - passes run as TEX_SANDBOX_USER ("uid:gid"); the server must run
+//           as root and its own files must not be readable by that user
+//   bwrap - passes run in a bubblewrap jail without network, with the system
+//           and TeX trees read-only and only the compile directory writable
+// Refused reads and writes and disabled shell escapes are reported as
+// sandbox violations: error diagnostics and `sandbox.violations` on the job.
+const TEX_SANDBOX_MODES = ["none", "user", "bwrap"];
+const TEX_SANDBOX = process.env.TEX_SANDBOX || "none";
+const TEX_SANDBOX_READONLY_PATHS = (
+  process.env.TEX_SANDBOX_READONLY_PATHS ||
+  "/usr,/bin,/lib,/lib64,/etc/alternatives,/etc/fonts,/etc/texmf,/etc/ld.so.cache,/var/lib/texmf,/usr/local/texlive,/opt/texlive"
+)
+  .split(",")
+  .map((dirPath) => dirPath.trim())
+  .filter((dirPath) => dirPath);
+const TEX_SHELL_ESCAPE_COMMANDS = (process.env.TEX_SHELL_ESCAPE_COMMANDS || "")
+  .split(",")
+  .map((command) => command.trim())
+  .filter((command) => command);
+const TEX_LUA_SAFER = process.env.TEX_LUA_SAFER !== "false";
+const TEX_REQUIRE_LUA_ISOLATION =
+  process.env.TEX_REQUIRE_LUA_ISOLATION === "true";
+// Variables a pass inherits: locale, search paths and TeX configuration
+const TEX_ENV_PASSTHROUGH =
+  /^(?:PATH|LANG|LANGUAGE|LC_\w+|TZ|TEXMF\w*|\w+INPUTS|OSFONTDIR|SOURCE_DATE_EPOCH|FORCE_SOURCE_DATE)$/;
+
+if (!TEX_SANDBOX_MODES.includes(TEX_SANDBOX)) {
+  throw new Error(
+    `Unknown TEX_SANDBOX: ${TEX_SANDBOX}. Expected one of ${TEX_SANDBOX_MODES.join(", ")}`
+  );
+}
+const TEX_SANDBOX_USER = (() => {
+  if (TEX_SANDBOX !== "user") {
+    return null;
+  }
+  const match = (process.env.TEX_SANDBOX_USER || "").match(
+    /^(\d+)(?::(\d+))?$/
+  );
+  if (!match) {
+    throw new Error('TEX_SANDBOX=user needs TEX_SANDBOX_USER as "uid:gid"');
+  }
+  const uid = parseInt(match[1], 10);
+  return { uid, gid: match[2] ? parseInt(match[2], 10) : uid };
+})();
+
+if (TEX_SANDBOX === "none") {
+  logger.warn(
+    TEX_REQUIRE_LUA_ISOLATION
+      ? "TEX_SANDBOX=none with TEX_REQUIRE_LUA_ISOLATION: lualatex compiles are refused, set TEX_SANDBOX=user or bwrap to allow them"
+      : "TEX_SANDBOX=none: lualatex documents can read every file the server can, including its secrets; set TEX_SANDBOX=user or bwrap"
+  );
+}
+
+const SANDBOX_VIOLATIONS = [
+  { type: "read", pattern: /Not reading from (.+?) \(openin_any = \w\)/g },
+  { type: "write", pattern: /Not writing to (.+?) \(openout_any = \w\)/g },
+  { type: "shell-escape", pattern: /runsystem\((.+?)\)\.\.\.disabled/g },
+];
+
+// Returns an error message unless shellEscape is false or allowed commands
+function validateShellEscape(shellEscape) {
+  if (shellEscape === undefined || shellEscape === false) {
+    return null;
+  }
+  if (
+    !Array.isArray(shellEscape) ||
+    shellEscape.some((command) => typeof command !== "string")
+  ) {
+    return "shellEscape must be false or a list of command names";
+  }
+  const refused = shellEscape.filter(
+    (command) => !TEX_SHELL_ESCAPE_COMMANDS.includes(command)
+  );
+  if (refused.length > 0) {
+    return `Shell escape is not allowed for: ${refused.join(", ")}. Allowed: ${TEX_SHELL_ESCAPE_COMMANDS.join(", ") || "none"}`;
+  }
+  return null;
+}
+
+const shellEscapeCommands = (job) => job.request.shellEscape || [];
+
+// Engine flags enforcing the shell escape and Lua policies
+function engineSandboxOptions(job) {
+  const options = [
+    shellEscapeCommands(job).length > 0
+      ? "-shell-restricted"
+      : "-no-shell-escape",
+  ];
+  if (job.engine === "lualatex" && TEX_LUA_SAFER) {
+    options.push("--safer", "--nosocket");
+  }
+  return options;
+}
+
+// Returns an error message if the engine may not run without isolation
+function validateEngineIsolation(engine) {
+  if (
+    engine === "lualatex" &&
+    TEX_SANDBOX === "none" &&
+    TEX_REQUIRE_LUA_ISOLATION
+  ) {
+    return "lualatex needs TEX_SANDBOX=user or bwrap on this server";
+  }
+  return null;
+}
+
+// Environment of a pass: kpathsea settings override texmf.cnf
+function sandboxEnvironment(commands, cwd) {
+  const env = {};
+  for (const [name, value] of Object.entries(process.env)) {
+    if (TEX_ENV_PASSTHROUGH.test(name)) {
+      env[name] = value;
+    }
+  }
+  return {
+    ...env,
+    HOME: TEX_SANDBOX === "none" ? process.env.HOME : cwd,
+    TEXMFOUTPUT: cwd,
+    openin_any: "p",
+    openout_any: "p",
+    shell_escape: commands.length > 0 ? "p" : "f",
+    shell_escape_commands: commands.join(","),
+  };
+}
+
+// Wraps a pass in bubblewrap when TEX_SANDBOX=bwrap
+function sandboxCommand(command, args, cwd) {
+  if (TEX_SANDBOX !== "bwrap") {
+    return { command, args };
+  }
+  const readOnly = [...TEX_SANDBOX_READONLY_PATHS];
+  if (process.env.TEXMFVAR) {
+    readOnly.push(process.env.TEXMFVAR);
+  }
+  return {
+    command: "bwrap",
+    args: [
+      "--unshare-all",
+      "--die-with-parent",
+      "--new-session",
+      ...readOnly.flatMap((dirPath) => ["--ro-bind-try", dirPath, dirPath]),
+      "--dev",
+      "/dev",
+      "--proc",
+      "/proc",
+      "--tmpfs",
+      "/tmp",
+      "--bind",
+      cwd,
+      cwd,
+      "--chdir",
+      cwd,
+      command,
+      ...args,
+    ],
+  };
+}
+
+// Hands the compile directory to the sandbox user before the first pass
+async function prepareSandbox(dirPath) {
+  if (!TEX_SANDBOX_USER) {
+    return;
+  }
+  const { uid, gid } = TEX_SANDBOX_USER;
+  const { code, stderr } = await runCommand("chown", [
+    "-R",
+    `${uid}:${gid}`,
+    dirPath,
+  ]);
+  if (code !== 0) {
+    throw new Error(`Could not prepare the sandbox: ${stderr.trim()}`);
+  }
+}
+
+// Records what the sandbox refused during a pass, once per file or command
+function recordSandboxViolations(job, pass, output) {
+  const text = unwrapLogLines(output).join("\n");
+  for (const { type, pattern } of SANDBOX_VIOLATIONS) {
+    for (const match of text.matchAll(pattern)) {
+      const target = match[1];
+      if (
+        !job.sandboxViolations.some(
+          (violation) => violation.type === type && violation.target === target
+        )
+      ) {
+        job.sandboxViolations.push({ type, target, pass });
+        logger.warn("Sandbox violation", { type, target, pass });
+      }
+    }
+  }
+}
+
+// Violations as diagnostics of the compile result
+function sandboxDiagnostics(violations) {
+  const messages = {
+    read: (target) => `Reading ${target} is not allowed`,
+    write: (target) => `Writing ${target} is not allowed`,
+    "shell-escape": (target) => `Shell escape is disabled: ${target}`,
+  };
+  return violations.map((violation) => ({
+    severity: "error",
+    category: "sandbox",
+    file: null,
+    line: null,
+    message: messages[violation.type](violation.target),
+    violation,
+  }));
+}
+
+function serializeSandbox(job) {
+  return {
+    mode: TEX_SANDBOX,
+    shellEscape: shellEscapeCommands(job),
+    violations: job.sandboxViolations,
+  };
+}
+
+/**
+ * Runs a single TeX toolchain pass and records its progress on the job
+ * @param {Object} job - Job the pass belongs to
+ * @param {string} name - Pass name reported in the job progress (e.g. "lualatex1")
+ * @param {string} command - Executable to run
+ * @param {string[]} args - Command line arguments
+ * @param {string} cwd - Working directory of the pass
+ * @param {string[]} errors - Collects spawn errors
+ * @returns {Promise<Object>} - Exit code and collected stdout/stderr
+ */
+async function runTexPass(job, name, command, args, cwd, errors) {
+  throwIfAborted(job);
+
+  const pass = {
+    name,
+    status: "running",
+    exitCode: null,
+    startedAt: new Date(),
+    finishedAt: null,
+  };
+  job.passes.push(pass);
+  emitJobEvent(job, "pass-start", { pass: name, command });
+
+  logger.debug("Pass started", { pass: name, command });
+  // ulimit caps the CPU time of the pass (SIGXCPU at the soft limit, SIGKILL
+  // shortly after), and the pass fails rather than run without it; detached
+  // puts it in its own process group
+  const sandboxed = sandboxCommand(command, args, cwd);
+  const child = spawn(
+    "sh",
+    [
+      "-c",
+      'ulimit -S -t "$1" && ulimit -H -t "$2" || { echo "Could not set the CPU time limit" >&2; exit 126; }; shift 2; exec "$@"',
+      "sh",
+      String(job.limits.cpuTime),
+      String(job.limits.cpuTime + 5),
+      sandboxed.command,
+      ...sandboxed.args,
+    ],
+    {
+      cwd,
+      detached: true,
+      env: sandboxEnvironment(shellEscapeCommands(job), cwd),
+      ...TEX_SANDBOX_USER,
+    }
+  );
+  job.activeChild = child;
+  let stdout = "";
+  let stderr = "";
+  let partialLine = "";
+  let pages = 0;
+
+  // Stream formatted output lines and shipped-out pages ("[3]") as they appear
+  const streamLine = (line) => {
+    const formatted = formatLatexOutput(line);
+    if (formatted) {
+      emitJobEvent(job, "log", { pass: name, line: formatted });
+    }
+    for (const match of line.matchAll(/\[(\d+)(?=[\]{<\s]|$)/g)) {
+      const page = parseInt(match[1], 10);
+      if (page > pages) {
+        pages = page;
+        emitJobEvent(job, "page", { pass: name, pages });
+      }
+      if (pages > job.limits.maxPages) {
+        abortJob(
+          job,
+          limitExceededError("maxPages", job.limits.maxPages, pages)
+        );
+      }
+    }
+  };
+
+  const countOutput = (data) => {
+    job.outputBytes += data.length;
+    if (job.outputBytes > job.limits.maxOutputBytes) {
+      abortJob(
+        job,
+        limitExceededError(
+          "maxOutputBytes",
+          job.limits.maxOutputBytes,
+          job.outputBytes
+        )
+      );
+    }
+  };
+
+  child.stdout.on("data", (data) => {
+    countOutput(data);
+    stdout += data.toString();
+    const lines = (partialLine + data.toString()).split("\n");
+    partialLine = lines.pop();
+    lines.forEach(streamLine);
+  });
+
+  child.stderr.on("data", (data) => {
+    countOutput(data);
+    stderr += data.toString();
+    logger.debug("Pass stderr", { pass: name, output: data.toString() });
+  });
+
+  const { code, signal } = await new Promise((resolve) => {
+    child.on("error", (err) => {
+      logger.error("Pass could not be started", {
+        pass: name,
+        error: err.message,
+      });
+      errors.push(`${name} process error: ${err.message}`);
+      resolve({ code: null, signal: null });
+    });
+
+    child.on("close", (code, signal) => {
+      resolve({ code, signal });
+    });
+  });
+  job.activeChild = null;
+
+  if (partialLine) {
+    streamLine(partialLine);
+  }
+  recordSandboxViolations(job, name, `${stdout}\n${stderr}`);
+
+  pass.exitCode = code;
+  pass.status = code === 0 ? "done" : "failed";
+  pass.finishedAt = new Date();
+  metrics.passDuration.observe(
+    { tool: path.basename(command), status: pass.status },
+    seconds(pass.startedAt, pass.finishedAt)
+  );
+  logger.info("Pass finished", {
+    pass: name,
+    exitCode: code,
+    signal,
+    durationMs: pass.finishedAt - pass.startedAt,
+  });
+  emitJobEvent(job, "pass-end", {
+    pass: name,
+    status: pass.status,
+    exitCode: code,
+    durationMs: pass.finishedAt - pass.startedAt,
+  });
+
+  if (signal === "SIGXCPU") {
+    abortJob(
+      job,
+      limitExceededError("cpuTime", job.limits.cpuTime, job.limits.cpuTime)
+    );
+  }
+  throwIfAborted(job);
+  return { code, stdout, stderr };
+}
+
+// TeX engines and build recipes
+// The "auto" recipe runs the engine once, runs whichever of biber, bibtex,
+// makeindex and makeglossaries the first pass asks for, then reruns the
+// engine only while the .log requests it. "latexmk" hands the whole build
+// to latexmk.
+const TEX_ENGINES = {
+  pdflatex: { command: "pdflatex", latexmkFlag: "-pdf" },
+  xelatex: { command: "xelatex", latexmkFlag: "-pdfxe" },
+  lualatex: { command: "lualatex", latexmkFlag: "-pdflua" },
+};
+const BUILD_RECIPES = ["auto", "latexmk"];
+const DEFAULT_TEX_ENGINE = process.env.DEFAULT_TEX_ENGINE || "lualatex";
+const TEX_MAX_PASSES = parseInt(process.env.TEX_MAX_PASSES, 10) || 5;
+
+const RERUN_PATTERNS = [
+  /Rerun to get [\w\s-]+ right/,
+  /Label\(s\) may have changed/,
+  /Please rerun LaTeX/,
+  /Table widths have changed/,
+  /Citation\(s\) may have changed/,
+];
+
+const isKnownEngine = (engine) =>
+  Object.prototype.hasOwnProperty.call(TEX_ENGINES, engine);
+
+if (!isKnownEngine(DEFAULT_TEX_ENGINE)) {
+  throw new Error(
+    `Unknown DEFAULT_TEX_ENGINE: ${DEFAULT_TEX_ENGINE}. Expected one of ${Object.keys(TEX_ENGINES).join(", ")}`
+  );
+}
+
+// Engine for a request: explicit choice, then the template's, then the default
+function resolveEngine(request) {
+  return (
+    request.engine ||
+    (request.template && TEMPLATES[request.template].engine) ||
+    DEFAULT_TEX_ENGINE
+  );
+}
+
+function needsRerun(logContent) {
+  return RERUN_PATTERNS.some((pattern) => pattern.test(logContent));
+}
+
+/**
+ * Works out which auxiliary programs the last engine pass asked for
+ * @param {string} dirPath - Directory the document is compiled in
+ * @param {string} jobname - Main file name without extension
+ * @param {string} logContent - .log of the last engine pass
+ * @returns {Promise<Object[]>} - Pass name, command and arguments of each tool to run
+ */
+async function detectAuxiliaryTools(dirPath, jobname, logContent) {
+  const tools = [];
+  const auxPath = path.join(dirPath, `${jobname}.aux`);
+  const aux = (await fs.pathExists(auxPath))
+    ? await fs.readFile(auxPath, "utf-8")
+    : "";
+
+  if (
+    /Please \(re\)run Biber/.test(logContent) ||
+    ((await fs.pathExists(path.join(dirPath, `${jobname}.bcf`))) &&
+      !(await fs.pathExists(path.join(dirPath, `${jobname}.bbl`))))
+  ) {
+    tools.push({ name: "biber", command: "biber", args: [jobname] });
+  } else if (
+    aux.includes("\\bibdata") ||
+    /Please \(re\)run BibTeX/.test(logContent)
+  ) {
+    tools.push({ name: "bibtex", command: "bibtex", args: [jobname] });
+  }
+
+  const idxPath = path.join(dirPath, `${jobname}.idx`);
+  if ((await fs.pathExists(idxPath)) && (await fs.stat(idxPath)).size > 0) {
+    tools.push({
+      name: "makeindex",
+      command: "makeindex",
+      args: [`${jobname}.idx`],
+    });
+  }
+
+  if (
+    aux.includes("\\@istfilename") ||
+    (await fs.pathExists(path.join(dirPath, `${jobname}.glo`)))
+  ) {
+    tools.push({
+      name: "makeglossaries",
+      command: "makeglossaries",
+      args: [jobname],
+    });
+  }
+
+  return tools;
+}
+
+/**
+ * Builds the document with the engine and recipe chosen by the request
+ * @param {Object} job - Job being compiled
+ * @param {string} dirPath - Directory the document is compiled in
+ * @param {string} baseFilename - Main .tex file name
+ * @param {string[]} errors - Collects spawn errors and timeouts
+ * @returns {Promise<string[]>} - stdout of each engine pass
+ */
+async function runBuildRecipe(job, dirPath, baseFilename, errors) {
+  const engine = job.engine;
+  const jobname = baseFilename.replace(/\.tex$/, "");
+  const logPath = path.join(dirPath, `${jobname}.log`);
+  const sandboxOptions = engineSandboxOptions(job);
+  const engineOptions = [
+    "-file-line-error",
+    "-interaction=nonstopmode",
+    ...(wantsOutput(job, "synctex") ? ["-synctex=1"] : []),
+    baseFilename,
+  ];
+  const stdout = [];
+
+  logger.info("Building", { engine, recipe: job.recipe });
+  await prepareSandbox(dirPath);
+
+  if (job.recipe === "latexmk") {
+    job.totalPasses = 1;
+    const latexmk = await runTexPass(
+      job,
+      "latexmk",
+      "latexmk",
+      [
+        TEX_ENGINES[engine].latexmkFlag,
+        ...sandboxOptions.map((option) => `-latexoption=${option}`),
+        ...engineOptions,
+      ],
+      dirPath,
+      errors
+    );
+    stdout.push(latexmk.stdout);
+    return stdout;
+  }
+
+  const readLog = async () =>
+    (await fs.pathExists(logPath)) ? fs.readFile(logPath, "utf-8") : "";
+  let enginePasses = 0;
+  const runEngine = async () => {
+    enginePasses++;
+    const pass = await runTexPass(
+      job,
+      `${engine}${enginePasses}`,
+      TEX_ENGINES[engine].command,
+      [...sandboxOptions, ...engineOptions],
+      dirPath,
+      errors
+    );
+    stdout.push(pass.stdout);
+    if (job.request.bibliography?.style) {
+      await applyBibliographyStyle(
+        dirPath,
+        jobname,
+        job.request.bibliography.style
+      );
+    }
+    return readLog();
+  };
+
+  job.totalPasses = 1;
+  let logContent = await runEngine();
+
+  let tools = await detectAuxiliaryTools(dirPath, jobname, logContent);
+
+  // With a warm project cache BibTeX/biber only rerun when their inputs changed
+  if (job.cache) {
+    const fingerprint = await bibliographyFingerprint(dirPath, jobname);
+    const bblExists = await fs.pathExists(path.join(dirPath, `${jobname}.bbl`));
+    if (fingerprint === job.cache.bibFingerprint && bblExists) {
+      tools = tools.filter(
+        (tool) => tool.name !== "bibtex" && tool.name !== "biber"
+      );
+    }
+    job.cache.bibFingerprint = fingerprint;
+  }
+
+  let rerun = tools.length > 0 || needsRerun(logContent);
+  job.totalPasses = job.passes.length + tools.length + (rerun ? 1 : 0);
+
+  for (const tool of tools) {
+    await runTexPass(job, tool.name, tool.command, tool.args, dirPath, errors);
+  }
+
+  while (rerun && enginePasses < TEX_MAX_PASSES) {
+    logContent = await runEngine();
+    rerun = needsRerun(logContent);
+    job.totalPasses = job.passes.length + (rerun ? 1 : 0);
+  }
+
+  if (rerun) {
+    logger.warn("Engine still requests a rerun", {
+      engine,
+      passes: TEX_MAX_PASSES,
+    });
+  }
+  job.totalPasses = job.passes.length;
+  return stdout;
+}
+
+// TeX environment
+// Which engines, helper programs, packages and fonts this host actually has.
+// /readyz needs the default engine, the template engines and bibtex, plus
+// writable workspace and job directories; the other programs only enable
+// optional features and are reported by /environment.
+const ENVIRONMENT_PROBE_TTL_MS =
+  (parseInt(process.env.ENVIRONMENT_PROBE_TTL_SECONDS, 10) || 60) * 1000;
+const ENVIRONMENT_MAX_LOOKUPS = 50;
+const TEX_NAME_PATTERN = /^[A-Za-z0-9][\w.+-]*$/;
+const FONT_NAME_PATTERN = /^[A-Za-z0-9][\w .+-]*$/;
+
+let toolProbe = null; // { checkedAt, result: Promise }
+
+// Helper programs by feature; { command, args } when --version doesn't work
+function environmentTools() {
+  return {
+    bibtex: { command: "bibtex" },
+    biber: { command: "biber" },
+    makeindex: { command: "makeindex", args: ["-q", "/dev/null"] },
+    makeglossaries: { command: "makeglossaries", args: ["--help"] },
+    latexmk: { command: "latexmk" },
+    kpsewhich: { command: "kpsewhich" },
+    synctex: { command: "synctex", args: ["help"] },
+    pdftoppm: { command: "pdftoppm", args: ["-v"] },
+    pdffonts: { command: "pdffonts", args: ["-v"] },
+    pdfimages: { command: "pdfimages", args: ["-v"] },
+    imageConvert: { command: IMAGE_CONVERT_COMMAND },
+    svgConvert: { command: SVG_CONVERT_COMMAND },
+    pandoc: { command: PANDOC_COMMAND },
+    zip: { command: "zip", args: ["-h"] },
+    unzip: { command: "unzip", args: ["-v"] },
+    bwrap: { command: "bwrap" },
+    git: { command: GIT_COMMAND },
+  };
+}
+
+// Runs a program once to see whether it is installed and which version
+async function probeCommand(command, args = ["--version"]) {
+  try {
+    const { code, stdout, stderr } = await runCommand(command, args, {
+      stdio: ["ignore", "pipe", "pipe"],
+      timeout: 10000,
+    });
+    const banner = `${stdout}\n${stderr}`
+      .split("\n")
+      .map((line) => line.trim())
+      .find((line) => line);
+    return { command, available: true, exitCode: code, version: banner };
+  } catch (error) {
+    return { command, available: false, error: error.message };
+  }
+}
+
+/**
+ * Probes every engine and helper program, at most once per
+ * ENVIRONMENT_PROBE_TTL_MS
+ * @returns {Promise<Object>} - { engines, tools, texLive }
+ */
+function probeTools() {
+  if (
+    toolProbe &&
+    Date.now() - toolProbe.checkedAt < ENVIRONMENT_PROBE_TTL_MS
+  ) {
+    return toolProbe.result;
+  }
+  const result = (async () => {
+    const engines = {};
+    for (const [id, engine] of Object.entries(TEX_ENGINES)) {
+      engines[id] = await probeCommand(engine.command);
+    }
+    const tools = {};
+    for (const [id, tool] of Object.entries(environmentTools())) {
+      tools[id] = await probeCommand(tool.command, tool.args);
+    }
+    const banner = Object.values(engines).find((engine) =>
+      /TeX Live/.test(engine.version || "")
+    )?.version;
+    return {
+      engines,
+      tools,
+      texLive: banner
+        ? { year: banner.match(/TeX Live (\d{4})/)?.[1] || null, banner }
+        : null,
+    };
+  })();
+  toolProbe = { checkedAt: Date.now(), result };
+  return result;
+}
+
+// Write and remove a file to prove a directory is usable
+async function checkWritable(dirPath) {
+  try {
+    await fs.mkdirp(dirPath);
+    const probePath = path.join(dirPath, `.readyz-${process.pid}`);
+    await fs.writeFile(probePath, "ok");
+    await fs.remove(probePath);
+    return { path: dirPath, writable: true };
+  } catch (error) {
+    return { path: dirPath, writable: false, error: error.message };
+  }
+}
+
+/**
+ * Checks what compiles can't do without
+ * @returns {Promise<Object>} - { ready, checks }
+ */
+async function checkReadiness() {
+  const { engines, tools } = await probeTools();
+  const requiredEngines = new Set([
+    DEFAULT_TEX_ENGINE,
+    ...Object.values(TEMPLATES)
+      .map((template) => template.engine)
+      .filter(Boolean),
+  ]);
+
+  const checks = [];
+  for (const id of requiredEngines) {
+    checks.push({
+      name: `engine:${id}`,
+      ok: !!engines[id]?.available,
+      details: engines[id]?.version || engines[id]?.error || "Unknown engine",
+    });
+  }
+  checks.push({
+    name: "tool:bibtex",
+    ok: tools.bibtex.available,
+    details: tools.bibtex.version || tools.bibtex.error,
+  });
+  if (TEX_SANDBOX === "bwrap") {
+    checks.push({
+      name: "tool:bwrap",
+      ok: tools.bwrap.available,
+      details: tools.bwrap.version || tools.bwrap.error,
+    });
+  }
+  if (gitSourcesEnabled()) {
+    checks.push({
+      name: "tool:git",
+      ok: tools.git.available,
+      details: tools.git.version || tools.git.error,
+    });
+  }
+  for (const dirPath of [WORKSPACE_ROOT, JOBS_DIR]) {
+    const { writable, error } = await checkWritable(dirPath);
+    checks.push({
+      name: `writable:${dirPath}`,
+      ok: writable,
+      details: error,
+    });
+  }
+  return { ready: checks.every((check) => check.ok), checks };
+}
+
+// Looks up LaTeX packages (foo, foo.sty, foo.cls) in the TeX tree
+async function findTexFile(name) {
+  const file = path.extname(name) ? name : `${name}.sty`;
+  try {
+    const { code, stdout } = await runCommand("kpsewhich", [file], {
+      timeout: 10000,
+    });
+    return code === 0
+      ? { installed: true, path: stdout.trim() }
+      : { installed: false };
+  } catch (error) {
+    return { installed: false, error: error.message };
+  }
+}
+
+// Font files are looked up like packages, family names through luaotfload
+// so the answer matches what fontspec will find
+async function findFont(name) {
+  if (/\.(?:otf|ttf|ttc|pfb|tfm)$/i.test(name)) {
+    return findTexFile(name);
+  }
+  try {
+    const { stdout, stderr } = await runCommand(
+      "luaotfload-tool",
+      ["--find", name],
+      { timeout: 30000 }
+    );
+    const resolved = `${stdout}\n${stderr}`.match(
+      /Resolved file name "([^"]+)"/
+    );
+    return resolved
+      ? { installed: true, path: resolved[1] }
+      : { installed: false };
+  } catch (error) {
+    return { installed: false, error: error.message };
+  }
+}
+
+// Comma separated names of a query parameter, or an error message
+function parseLookupNames(value, label, pattern) {
+  const names = String(value || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name);
+  if (names.length > ENVIRONMENT_MAX_LOOKUPS) {
+    return { error: `At most ${ENVIRONMENT_MAX_LOOKUPS} ${label} per request` };
+  }
+  const invalid = names.filter((name) => !pattern.test(name));
+  if (invalid.length > 0) {
+    return { error: `Invalid ${label}: ${invalid.join(", ")}` };
+  }
+  return { names: [...new Set(names)] };
+}
+
+// TeX Live version, engines and helper programs, and whether the packages
+// and fonts named in ?packages=a,b&fonts=c are installed
+app.get("/environment", requireScope("compile"), async (req, res, next) => {
+  const packages = parseLookupNames(
+    req.query.packages,
+    "packages",
+    TEX_NAME_PATTERN
+  );
+  const fonts = parseLookupNames(req.query.fonts, "fonts", FONT_NAME_PATTERN);
+  const lookupError = packages.error || fonts.error;
+  if (lookupError) {
+    return res.status(400).json({ error: lookupError });
+  }
+
+  try {
+    const { engines, tools, texLive } = await probeTools();
+    const environment = {
+      texLive,
+      defaultEngine: DEFAULT_TEX_ENGINE,
+      sandbox: {
+        mode: TEX_SANDBOX,
+        shellEscapeCommands: TEX_SHELL_ESCAPE_COMMANDS,
+        luaSafer: TEX_LUA_SAFER,
+        luaIsolated: TEX_SANDBOX !== "none",
+      },
+      engines,
+      tools,
+      packages: {},
+      fonts: {},
+    };
+    for (const name of packages.names) {
+      environment.packages[name] = await findTexFile(name);
+    }
+    for (const name of fonts.names) {
+      environment.fonts[name] = await findFont(name);
+    }
+    res.json(environment);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Extra outputs
+// Besides the PDF a request can ask for `outputs`: the SyncTeX file, the
+// generated .bbl, PNG thumbnails of the first pages and a zip "submission
+// bundle" of the sources. They are written next to output.pdf in the job
+// directory; a failure to produce one is reported on that output and never
+// fails the compile.
+const OUTPUT_TYPES = ["synctex", "bbl", "thumbnails", "bundle"];
+const OUTPUT_FILES = {
+  synctex: { file: "output.synctex.gz", type: "application/gzip" },
+  bbl: { file: "output.bbl", type: "text/plain" },
+  bundle: { file: "bundle.zip", type: "application/zip" },
+};
+const THUMBNAIL_WIDTH = parseInt(process.env.THUMBNAIL_WIDTH, 10) || 256;
+const THUMBNAIL_MAX_PAGES = parseInt(process.env.THUMBNAIL_MAX_PAGES, 10) || 20;
+// Where a project cache keeps the outputs of its last build
+const CACHED_OUTPUTS_DIR = ".latex-outputs";
+// Build byproducts that don't belong in a submission bundle
+const BUNDLE_EXCLUDED_FILES =
+  /\.(?:aux|log|fls|fdb_latexmk|synctex(?:\.gz)?|out|toc|lof|lot|blg|bcf|run\.xml|xdv|idx|ilg|ind|glo|gls|glg|ist|nav|snm|vrb)$/;
+
+const wantsOutput = (job, name) => !!job.request.outputs?.includes(name);
+
+// Zips the sources of a build, including the .bbl but not the auxiliary files
+async function createSourceBundle(rootDir, jobname, mainDir, bundlePath) {
+  const mainPdf = path.join(mainDir, `${jobname}.pdf`);
+  const files = [];
+  const walk = async (dir) => {
+    for (const entry of (await fs.readdir(dir)).sort()) {
+      const entryPath = path.join(dir, entry);
+      if (entry === CACHED_OUTPUTS_DIR) {
+        continue;
+      }
+      if ((await fs.lstat(entryPath)).isDirectory()) {
+        await walk(entryPath);
+      } else if (!BUNDLE_EXCLUDED_FILES.test(entry) && entryPath !== mainPdf) {
+        files.push(path.relative(rootDir, entryPath));
+      }
+    }
+  };
+  await walk(rootDir);
+
+  const zip = await runCommand(
+    "zip",
+    ["-q", "-X", bundlePath, "--", ...files],
+    {
+      cwd: rootDir,
+    }
+  );
+  if (zip.code !== 0) {
+    throw new Error(`zip failed: ${zip.stderr.trim() || zip.stdout.trim()}`);
+  }
+  return files.length;
+}
+
+// Renders the first THUMBNAIL_MAX_PAGES pages of the PDF with pdftoppm
+async function renderThumbnails(pdfPath, thumbnailsDir) {
+  await fs.emptyDir(thumbnailsDir);
+  const render = await runCommand("pdftoppm", [
+    "-png",
+    "-scale-to",
+    String(THUMBNAIL_WIDTH),
+    "-f",
+    "1",
+    "-l",
+    String(THUMBNAIL_MAX_PAGES),
+    pdfPath,
+    path.join(thumbnailsDir, "page"),
+  ]);
+  if (render.code !== 0) {
+    throw new Error(`pdftoppm failed: ${render.stderr.trim()}`);
+  }
+
+  // pdftoppm zero-pads page numbers to the width of the page count
+  const pages = [];
+  for (const entry of await fs.readdir(thumbnailsDir)) {
+    const match = entry.match(/^page-0*(\d+)\.png$/);
+    if (match) {
+      const page = parseInt(match[1], 10);
+      const file = `page-${page}.png`;
+      await fs.move(
+        path.join(thumbnailsDir, entry),
+        path.join(thumbnailsDir, file),
+        { overwrite: true }
+      );
+      pages.push({
+        page,
+        file: `thumbnails/${file}`,
+        size: (await fs.stat(path.join(thumbnailsDir, file))).size,
+      });
+    }
+  }
+  return pages.sort((a, b) => a.page - b.page);
+}
+
+/**
+ * Produces the extra outputs a request asked for into the job directory
+ * @param {Object} job - Job being compiled
+ * @param {string} dirPath - Directory the main file was compiled in
+ * @param {string} jobname - Main file name without .tex
+ * @returns {Promise<Object|undefined>} - Per output file name and size, or an error
+ */
+async function collectOutputs(job, dirPath, jobname) {
+  const requested = job.request.outputs || [];
+  if (requested.length === 0) {
+    return undefined;
+  }
+
+  const jobDir = path.join(JOBS_DIR, job.id);
+  const rootDir = job.cache ? job.cache.buildDir : job.workspace;
+  const outputs = {};
+
+  for (const name of requested) {
+    try {
+      if (name === "synctex" || name === "bbl") {
+        const source = path.join(
+          dirPath,
+          name === "synctex" ? `${jobname}.synctex.gz` : `${jobname}.bbl`
+        );
+        if (!(await fs.pathExists(source))) {
+          throw new Error(`The build did not produce ${path.basename(source)}`);
+        }
+        await fs.copy(source, path.join(jobDir, OUTPUT_FILES[name].file));
+      } else if (name === "bundle") {
+        await fs.remove(path.join(jobDir, OUTPUT_FILES.bundle.file));
+        await createSourceBundle(
+          rootDir,
+          jobname,
+          dirPath,
+          path.join(jobDir, OUTPUT_FILES.bundle.file)
+        );
+      } else if (name === "thumbnails") {
+        outputs.thumbnails = {
+          pages: await renderThumbnails(
+            path.join(jobDir, "output.pdf"),
+            path.join(jobDir, "thumbnails")
+          ),
+        };
+        continue;
+      }
+
+      const { file } = OUTPUT_FILES[name];
+      outputs[name] = {
+        file,
+        size: (await fs.stat(path.join(jobDir, file))).size,
+      };
+      if (name === "synctex") {
+        // SyncTeX records absolute input paths; needed to map them back
+        outputs.synctex.sourceRoot = rootDir;
+      }
+    } catch (error) {
+      logger.warn("Could not produce output", {
+        jobId: job.id,
+        output: name,
+        error: error.message,
+      });
+      outputs[name] = { error: error.message };
+    }
+  }
+  return outputs;
+}
+
+// Output files of a job, as listed in its result
+function outputFiles(outputs) {
+  const files = [];
+  for (const output of Object.values(outputs || {})) {
+    if (output.file) {
+      files.push(output.file);
+    }
+    for (const page of output.pages || []) {
+      files.push(page.file);
+    }
+  }
+  return files;
+}
+
+// Public view of the extra outputs with their download URLs
+function serializeOutputs(job) {
+  const outputs = job.result?.outputs;
+  if (!outputs) {
+    return undefined;
+  }
+
+  const view = {};
+  for (const [name, output] of Object.entries(outputs)) {
+    if (output.error) {
+      view[name] = { error: output.error };
+    } else if (name === "thumbnails") {
+      view[name] = output.pages.map(({ page, size }) => ({
+        page,
+        size,
+        url: `/jobs/${job.id}/thumbnails/${page}`,
+      }));
+    } else {
+      view[name] = {
+        size: output.size,
+        url: `/jobs/${job.id}/outputs/${name}`,
+      };
+    }
+  }
+  return view;
+}
+
+// SyncTeX navigation
+// Forward (source -> PDF) and inverse (PDF -> source) search against the
+// output.synctex.gz of a build, using the synctex command line tool. Builds
+// only have SyncTeX data when they were requested with outputs: ["synctex"].
+// Coordinates are PDF points from the top left corner of the page.
+
+/**
+ * Runs `synctex view` or `synctex edit` and parses its result records
+ * @param {string[]} args - Arguments after the synctex command
+ * @returns {Promise<Object[]>} - One object per result record, keys as printed
+ */
+async function runSynctex(args) {
+  const synctex = await runCommand("synctex", args);
+  if (synctex.code !== 0) {
+    throw new Error(`synctex failed: ${synctex.stderr.trim()}`);
+  }
+
+  const records = [];
+  let record = null;
+  for (const line of synctex.stdout.split("\n")) {
+    if (line === "SyncTeX result begin" || line === "SyncTeX result end") {
+      continue;
+    }
+    const match = line.match(/^(\w+):(.*)$/);
+    if (!match) {
+      continue;
+    }
+    // Every record starts with Output:
+    if (match[1] === "Output") {
+      record = {};
+      records.push(record);
+    } else if (record) {
+      record[match[1]] = match[2];
+    }
+  }
+  return records;
+}
+
+/**
+ * Maps a source position to boxes on PDF pages
+ * @param {Object} job - Finished job with SyncTeX output
+ * @param {string} file - Project relative source file
+ * @param {number} line - 1-based line
+ * @param {number} column - 0-based column, or 0 when unknown
+ * @returns {Promise<Object[]>} - Page and box of each match
+ */
+async function synctexForward(job, file, line, column) {
+  const { sourceRoot } = job.result.outputs.synctex;
+  const records = await runSynctex([
+    "view",
+    "-i",
+    `${line}:${column}:${path.join(sourceRoot, file)}`,
+    "-o",
+    path.join(JOBS_DIR, job.id, "output.pdf"),
+  ]);
+  return records.map((record) => ({
+    page: parseInt(record.Page, 10),
+    x: parseFloat(record.x),
+    y: parseFloat(record.y),
+    h: parseFloat(record.h),
+    v: parseFloat(record.v),
+    width: parseFloat(record.W),
+    height: parseFloat(record.H),
+  }));
+}
+
+/**
+ * Maps a point on a PDF page to source positions
+ * @param {Object} job - Finished job with SyncTeX output
+ * @param {number} page - 1-based page
+ * @param {number} x - Horizontal offset in points
+ * @param {number} y - Vertical offset in points
+ * @returns {Promise<Object[]>} - File, line and column of each match
+ */
+async function synctexInverse(job, page, x, y) {
+  const { sourceRoot } = job.result.outputs.synctex;
+  const records = await runSynctex([
+    "edit",
+    "-o",
+    `${page}:${x}:${y}:${path.join(JOBS_DIR, job.id, "output.pdf")}`,
+  ]);
+  return records.map((record) => {
+    // Inputs outside the project (classes, packages) are reported by name
+    const input = path.normalize(record.Input || "");
+    const relative = path.relative(sourceRoot, input);
+    const external = relative.startsWith("..") || path.isAbsolute(relative);
+    return {
+      file: external
+        ? path.basename(input)
+        : relative.split(path.sep).join("/"),
+      external,
+      line: parseInt(record.Line, 10),
+      column: parseInt(record.Column, 10),
+    };
+  });
+}
+
+// Bibliography checks
+// The .bib databases a build uses are parsed and validated (syntax,
+// duplicate keys, required fields per entry type) and cross-checked against
+// the citations in the .aux files. A request can also pick one of the
+// bundled BibTeX styles with bibliography.style, and fill in missing fields
+// of entries with a `doi` from the local DOI cache with bibliography.enrich.
+const BIBLIOGRAPHY_STYLES = {
+  mdpi: { template: "mdpi", file: "Definitions/mdpi.bst" },
+  // Needs the apacite macros, which the MDPI class loads for APA journals
+  mdpi_apacite: { template: "mdpi", file: "Definitions/mdpi_apacite.bst" },
+  mdpi_chicago: { template: "mdpi", file: "Definitions/mdpi_chicago.bst" },
+  "model1-num-names": {
+    template: "elsevier-dc",
+    file: "model1-num-names.bst",
+  },
+};
+const DOI_CACHE_FILE =
+  process.env.DOI_CACHE_FILE || path.join(WORKSPACE_ROOT, ".doi-cache.json");
+
+// Required fields of the standard BibTeX entry types; "a|b" means either
+const BIBTEX_REQUIRED_FIELDS = {
+  article: ["author", "title", "journal", "year"],
+  book: ["author|editor", "title", "publisher", "year"],
+  booklet: ["title"],
+  conference: ["author", "title", "booktitle", "year"],
+  inbook: ["author|editor", "title", "chapter|pages", "publisher", "year"],
+  incollection: ["author", "title", "booktitle", "publisher", "year"],
+  inproceedings: ["author", "title", "booktitle", "year"],
+  manual: ["title"],
+  mastersthesis: ["author", "title", "school", "year"],
+  misc: [],
+  phdthesis: ["author", "title", "school", "year"],
+  proceedings: ["title", "year"],
+  techreport: ["author", "title", "institution", "year"],
+  unpublished: ["author", "title", "note"],
+};
+
+const isKnownBibliographyStyle = (style) =>
+  Object.prototype.hasOwnProperty.call(BIBLIOGRAPHY_STYLES, style);
+
+/**
+ * Parses a BibTeX database
+ * @param {string} content - Contents of the .bib file
+ * @returns {Object} - Entries with type, key, fields, line and source range, plus syntax errors
+ */
+function parseBibtex(content) {
+  const entries = [];
+  const errors = [];
+  const lineStarts = [0];
+  for (
+    let i = content.indexOf("\n");
+    i !== -1;
+    i = content.indexOf("\n", i + 1)
+  ) {
+    lineStarts.push(i + 1);
+  }
+  const lineAt = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low + 1;
+  };
+  let pos = 0;
+
+  const skipSpace = () => {
+    while (pos < content.length && /\s/.test(content[pos])) {
+      pos++;
+    }
+  };
+  // Reads a {...} or "..." value, honouring nested braces
+  const readDelimited = () => {
+    const close = content[pos] === "{" ? "}" : '"';
+    const start = ++pos;
+    let depth = 0;
+    for (; pos < content.length; pos++) {
+      const char = content[pos];
+      if (char === "\\") {
+        pos++;
+      } else if (char === "{") {
+        depth++;
+      } else if (char === "}" && depth > 0) {
+        depth--;
+      } else if (char === close && depth === 0) {
+        return content.slice(start, pos++);
+      }
+    }
+    throw new Error("Unterminated field value");
+  };
+  const readValue = () => {
+    const parts = [];
+    for (;;) {
+      skipSpace();
+      if (content[pos] === "{" || content[pos] === '"') {
+        parts.push(readDelimited());
+      } else {
+        const match = /^[^\s,#}")]+/.exec(content.slice(pos));
+        if (!match) {
+          throw new Error("Missing field value");
+        }
+        parts.push(match[0]);
+        pos += match[0].length;
+      }
+      skipSpace();
+      if (content[pos] !== "#") {
+        return parts.join("");
+      }
+      pos++;
+    }
+  };
+
+  while ((pos = content.indexOf("@", pos)) !== -1) {
+    const start = pos;
+    const line = lineAt(start);
+    try {
+      const typeMatch = /^@\s*([A-Za-z]+)\s*([{(])/.exec(content.slice(pos));
+      if (!typeMatch) {
+        throw new Error("Expected an entry type and an opening brace after @");
+      }
+      const type = typeMatch[1].toLowerCase();
+      const close = typeMatch[2] === "{" ? "}" : ")";
+      pos += typeMatch[0].length;
+
+      // Nothing to validate in these, skip to the matching delimiter
+      if (type === "comment" || type === "preamble" || type === "string") {
+        for (let depth = 1; depth > 0 && pos < content.length; pos++) {
+          if (content[pos] === typeMatch[2]) {
+            depth++;
+          } else if (content[pos] === close) {
+            depth--;
+          }
+        }
+        continue;
+      }
+
+      const keyMatch = /^\s*([^\s,{}()]+)\s*,/.exec(content.slice(pos));
+      if (!keyMatch) {
+        throw new Error(`Missing citation key in @${type} entry`);
+      }
+      const key = keyMatch[1];
+      pos += keyMatch[0].length;
+
+      const fields = {};
+      const duplicateFields = [];
+      for (;;) {
+        skipSpace();
+        if (content[pos] === close) {
+          pos++;
+          break;
+        }
+        const nameMatch = /^([A-Za-z][\w:.+-]*)\s*=/.exec(content.slice(pos));
+        if (!nameMatch) {
+          throw new Error(
+            `Expected a field name or '${close}' in entry ${key}`
+          );
+        }
+        pos += nameMatch[0].length;
+        const name = nameMatch[1].toLowerCase();
+        if (fields[name] !== undefined) {
+          duplicateFields.push(name);
+        }
+        fields[name] = readValue().trim();
+        skipSpace();
+        if (content[pos] === ",") {
+          pos++;
+        } else if (content[pos] !== close) {
+          throw new Error(`Expected ',' or '${close}' after field ${name}`);
+        }
+      }
+      entries.push({
+        type,
+        key,
+        fields,
+        duplicateFields,
+        line,
+        start,
+        end: pos,
+      });
+    } catch (error) {
+      errors.push({ line, message: error.message });
+      // Resume at the next entry that starts a line
+      const next = content.slice(start + 1).search(/^\s*@/m);
+      pos = next === -1 ? content.length : start + 1 + next;
+    }
+  }
+  return { entries, errors };
+}
+
+let doiCache = null;
+async function loadDoiCache() {
+  if (!doiCache) {
+    doiCache = (await fs.pathExists(DOI_CACHE_FILE))
+      ? await fs.readJson(DOI_CACHE_FILE)
+      : {};
+  }
+  return doiCache;
+}
+
+const normalizeDoi = (doi) =>
+  doi
+    .trim()
+    .replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:)/i, "")
+    .toLowerCase();
+
+/**
+ * Fills in fields missing from entries with a DOI from the local DOI cache
+ * @param {string} content - BibTeX database
+ * @returns {Promise<Object>} - The enriched database and which fields were added
+ */
+async function enrichBibliography(content) {
+  const cache = await loadDoiCache();
+  const { entries } = parseBibtex(content);
+  const enriched = [];
+  let result = "";
+  let copied = 0;
+
+  for (const entry of entries) {
+    const record = entry.fields.doi && cache[normalizeDoi(entry.fields.doi)];
+    if (!record) {
+      continue;
+    }
+    const added = Object.keys(record).filter(
+      (name) => entry.fields[name] === undefined
+    );
+    if (added.length === 0) {
+      continue;
+    }
+    // Append the new fields before the closing delimiter, leaving the rest
+    // of the entry as the author wrote it
+    const body = content
+      .slice(entry.start, entry.end - 1)
+      .replace(/\s*,?\s*$/, "");
+    const fields = added.map((name) => `,\n  ${name} = {${record[name]}}`);
+    result +=
+      content.slice(copied, entry.start) +
+      body +
+      fields.join("") +
+      "\n" +
+      content[entry.end - 1];
+    copied = entry.end;
+    enriched.push({ key: entry.key, doi: entry.fields.doi, fields: added });
+  }
+  return { content: result + content.slice(copied), enriched };
+}
+
+// Points the .aux at the requested style, replacing the one the document or
+// its class chose, and puts the .bst next to it
+async function applyBibliographyStyle(dirPath, jobname, style) {
+  const { template, file } = BIBLIOGRAPHY_STYLES[style];
+  await fs.copy(
+    path.join(TEMPLATES_DIR, TEMPLATES[template].directory, file),
+    path.join(dirPath, `${style}.bst`)
+  );
+
+  const auxPath = path.join(dirPath, `${jobname}.aux`);
+  if (!(await fs.pathExists(auxPath))) {
+    return;
+  }
+  const aux = (await fs.readFile(auxPath, "utf-8"))
+    .split("\n")
+    .filter((line) => line && !line.startsWith("\\bibstyle{"));
+  aux.push(`\\bibstyle{${style}}`);
+  await fs.writeFile(auxPath, `${aux.join("\n")}\n`, "utf-8");
+}
+
+/**
+ * Reads the .aux file of a build and the ones it pulls in with \@input
+ * (one per \include)
+ * @param {string} dirPath - Directory the document was compiled in
+ * @param {string} jobname - Main file name without .tex
+ * @returns {Promise<string[]>} - Contents of each .aux file, main file first
+ */
+async function readAuxFiles(dirPath, jobname) {
+  const contents = [];
+  const visited = new Set();
+
+  const readAux = async (auxFile) => {
+    let auxPath;
+    try {
+      auxPath = resolveProjectPath(dirPath, auxFile);
+    } catch (error) {
+      return;
+    }
+    if (visited.has(auxPath) || !(await fs.pathExists(auxPath))) {
+      return;
+    }
+    visited.add(auxPath);
+
+    const aux = await fs.readFile(auxPath, "utf-8");
+    contents.push(aux);
+    for (const [, included] of aux.matchAll(/\\@input\{([^}]*)\}/g)) {
+      await readAux(included);
+    }
+  };
+  await readAux(`${jobname}.aux`);
+  return contents;
+}
+
+/**
+ * Reads the citations and databases of a build from its .aux files
+ * @param {string} dirPath - Directory the document was compiled in
+ * @param {string} jobname - Main file name without .tex
+ * @returns {Promise<Object>} - Cited keys and \bibdata database names
+ */
+async function readAuxCitations(dirPath, jobname) {
+  const citations = new Set();
+  const databases = new Set();
+  for (const aux of await readAuxFiles(dirPath, jobname)) {
+    for (const [, keys] of aux.matchAll(/\\citation\{([^}]*)\}/g)) {
+      keys.split(",").forEach((key) => citations.add(key.trim()));
+    }
+    for (const [, names] of aux.matchAll(/\\bibdata\{([^}]*)\}/g)) {
+      names.split(",").forEach((name) => databases.add(name.trim()));
+    }
+  }
+  return { citations, databases };
+}
+
+/**
+ * Validates the databases of a build and cross-checks them with its citations
+ * @param {Object} job - Job being compiled
+ * @param {string} dirPath - Directory the document was compiled in
+ * @param {string} jobname - Main file name without .tex
+ * @returns {Promise<Object|undefined>} - Report, or undefined if the build has no bibliography
+ */
+async function analyzeBibliography(job, dirPath, jobname) {
+  const { citations, databases } = await readAuxCitations(dirPath, jobname);
+  if (databases.size === 0 && job.request.bibliography?.content) {
+    databases.add("references");
+  }
+  if (databases.size === 0) {
+    return undefined;
+  }
+
+  const problems = [];
+  const keys = new Map(); // lowercased key -> first entry
+  const files = [];
+  for (const database of databases) {
+    const file = database.endsWith(".bib") ? database : `${database}.bib`;
+    let databasePath;
+    try {
+      databasePath = resolveProjectPath(dirPath, file);
+    } catch (error) {
+      continue;
+    }
+    // Databases from the TeX distribution aren't the author's to fix
+    if (!(await fs.pathExists(databasePath))) {
+      continue;
+    }
+    files.push(file);
+
+    const { entries, errors } = parseBibtex(
+      await fs.readFile(databasePath, "utf-8")
+    );
+    for (const error of errors) {
+      problems.push({
+        severity: "error",
+        category: "syntax",
+        file,
+        line: error.line,
+        message: error.message,
+      });
+    }
+
+    for (const entry of entries) {
+      const problem = (severity, category, message) =>
+        problems.push({
+          severity,
+          category,
+          file,
+          line: entry.line,
+          key: entry.key,
+          message,
+        });
+
+      const existing = keys.get(entry.key.toLowerCase());
+      if (existing) {
+        problem(
+          "error",
+          "duplicate-key",
+          `Duplicate key ${entry.key}, first defined in ${existing.file} on line ${existing.line}`
+        );
+        continue;
+      }
+      keys.set(entry.key.toLowerCase(), { ...entry, file });
+
+      for (const name of entry.duplicateFields) {
+        problem("warning", "duplicate-field", `Field ${name} is set twice`);
+      }
+      const required = BIBTEX_REQUIRED_FIELDS[entry.type];
+      if (!required) {
+        problem("warning", "unknown-type", `Unknown entry type @${entry.type}`);
+        continue;
+      }
+      for (const alternatives of required) {
+        const names = alternatives.split("|");
+        if (!names.some((name) => entry.fields[name])) {
+          problem(
+            "warning",
+            "missing-field",
+            `@${entry.type} ${entry.key} is missing ${names.join(" or ")}`
+          );
+        }
+      }
+    }
+  }
+
+  const citesAll = citations.has("*");
+  const undefinedCitations = [...citations].filter(
+    (key) => key !== "*" && !keys.has(key.toLowerCase())
+  );
+  const cited = new Set([...citations].map((key) => key.toLowerCase()));
+  const unused = citesAll
+    ? []
+    : [...keys.values()]
+        .filter((entry) => !cited.has(entry.key.toLowerCase()))
+        .map((entry) => entry.key);
+  for (const key of undefinedCitations) {
+    problems.push({
+      severity: "error",
+      category: "undefined-citation",
+      key,
+      message: `${key} is cited but not defined in ${files.join(", ") || "any database"}`,
+    });
+  }
+  for (const key of unused) {
+    const entry = keys.get(key.toLowerCase());
+    problems.push({
+      severity: "info",
+      category: "unused-entry",
+      file: entry.file,
+      line: entry.line,
+      key,
+      message: `${key} is never cited`,
+    });
+  }
+
+  return {
+    style: job.request.bibliography?.style,
+    databases: files,
+    entries: keys.size,
+    citations: citesAll ? "*" : cited.size,
+    undefinedCitations,
+    unused,
+    enriched: job.bibliographyEnriched || [],
+    problems,
+  };
+}
+
+// Styles a request can choose with bibliography.style
+app.get("/bibliography/styles", requireScope("templates"), (req, res) => {
+  res.json({
+    styles: Object.entries(BIBLIOGRAPHY_STYLES).map(([id, style]) => ({
+      id,
+      template: style.template,
+      file: style.file,
+    })),
+  });
+});
+
+// Adds records to the DOI cache: { records: { "10.3390/...": { title, ... } } }
+app.put(
+  "/bibliography/doi-cache",
+  requireScope("admin"),
+  async (req, res, next) => {
+    const { records } = req.body || {};
+    if (!records || typeof records !== "object" || Array.isArray(records)) {
+      return res
+        .status(400)
+        .json({ error: "records must map DOIs to BibTeX fields" });
+    }
+    const invalid = Object.entries(records).filter(
+      ([, fields]) =>
+        !fields ||
+        typeof fields !== "object" ||
+        Object.values(fields).some((value) => typeof value !== "string")
+    );
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: `Fields must be strings: ${invalid.map(([doi]) => doi).join(", ")}`,
+      });
+    }
+
+    try {
+      const cache = await loadDoiCache();
+      for (const [doi, fields] of Object.entries(records)) {
+        const normalized = normalizeDoi(doi);
+        cache[normalized] = { ...cache[normalized], ...fields };
+      }
+      await fs.mkdirp(path.dirname(DOI_CACHE_FILE));
+      await fs.writeJson(DOI_CACHE_FILE, cache, { spaces: 2 });
+      res.json({ records: Object.keys(cache).length });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Document analysis
+// POST /analyze (or `analyze: true` on a compile request) reads the main
+// file with its \input/\include/\subfile files spliced in and returns the
+// section outline, the figure and table lists, labels with their \refs,
+// citation usage and word counts. After a compile the .aux files add the
+// numbers and pages LaTeX assigned, resolve labels and citations that
+// packages define, and show which citations the bibliography lacks.
+// Word and character counts leave out commands, math, floats and the
+// bibliography; characters are counted without whitespace. The abstract is
+// counted on its own, the body runs from the first heading to \end{document}.
+const TEX_INPUT_PATTERN =
+  /\\(input|include|subfile)(?![a-zA-Z])\s*(?:\{([^}]*)\}|([^\s{}%\\]+))/g;
+const ANALYSIS_MAX_INPUT_DEPTH = 20;
+const HEADING_LEVELS = [
+  "part",
+  "chapter",
+  "section",
+  "subsection",
+  "subsubsection",
+  "paragraph",
+];
+const REF_COMMANDS =
+  /\\(ref|eqref|pageref|autoref|nameref|vref|cref|Cref|cpageref|Cpageref)\*?\s*\{([^}]*)\}/g;
+const CITE_COMMANDS =
+  /\\((?:[a-zA-Z]*cite[a-zA-Z]*|citeauthor|citeyear)\*?)\s*(?:\[[^\]]*\]\s*){0,2}\{([^}]*)\}/g;
+// Environments and commands whose contents are not running text
+const UNCOUNTED_ENVIRONMENTS =
+  /\\begin\{(figure|table|equation|align|gather|multline|eqnarray|displaymath|math|verbatim|lstlisting|minted|tabular|tabularx|thebibliography|tikzpicture)(\*?)\}[\s\S]*?\\end\{\1\2\}/g;
+const UNCOUNTED_COMMANDS =
+  /\\(?:label|[a-zA-Z]*ref|[a-zA-Z]*cite[a-zA-Z]*|includegraphics|bibliography|bibliographystyle|input|include|url|documentclass|usepackage)\*?\s*(?:\[[^\]]*\]\s*)*\{[^}]*\}/g;
+
+/**
+ * Splices the files a document includes into one source
+ * @param {string} rootDir - Directory of the project; files outside are skipped
+ * @param {string} mainPath - Main .tex file
+ * @returns {Promise<Object>} - { text, locate(offset) -> { file, line },
+ * inputs, missingInputs }, all without comments
+ */
+async function readDocumentSources(rootDir, mainPath) {
+  const root = path.resolve(rootDir) + path.sep;
+  const baseDir = path.dirname(mainPath);
+  const segments = []; // { offset, file, start, lineStarts } in text order
+  const inputs = [];
+  const missingInputs = new Set();
+  let text = "";
+
+  // TeX resolves names against the directory it runs in; \input adds .tex
+  // only when the name as given doesn't exist
+  const resolveInput = async (command, name) => {
+    const candidates =
+      command === "include" ? [`${name}.tex`] : [name, `${name}.tex`];
+    for (const candidate of candidates) {
+      const candidatePath = path.resolve(baseDir, candidate);
+      if (
+        candidatePath.startsWith(root) &&
+        (await fs.pathExists(candidatePath)) &&
+        (await fs.stat(candidatePath)).isFile()
+      ) {
+        return candidatePath;
+      }
+    }
+    return null;
+  };
+
+  const visit = async (filePath, stack) => {
+    const file = path.relative(rootDir, filePath).split(path.sep).join("/");
+    const source = stripTexComments(await fs.readFile(filePath, "utf-8"));
+    const lineStarts = [0];
+    for (let index = 0; index < source.length; index++) {
+      if (source[index] === "\n") {
+        lineStarts.push(index + 1);
+      }
+    }
+    inputs.push(file);
+
+    let position = 0;
+    const append = (end) => {
+      segments.push({ offset: text.length, file, start: position, lineStarts });
+      text += source.slice(position, end);
+    };
+    for (const match of source.matchAll(TEX_INPUT_PATTERN)) {
+      append(match.index);
+      position = match.index + match[0].length;
+      const name = (match[2] ?? match[3]).trim();
+      const inputPath = await resolveInput(match[1], name);
+      if (!inputPath) {
+        missingInputs.add(name);
+      } else if (
+        !stack.includes(inputPath) &&
+        stack.length < ANALYSIS_MAX_INPUT_DEPTH
+      ) {
+        await visit(inputPath, [...stack, inputPath]);
+      }
+    }
+    append(source.length);
+  };
+  await visit(mainPath, [mainPath]);
+
+  const locate = (offset) => {
+    let low = 0;
+    let high = segments.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (segments[middle].offset <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    const segment = segments[low];
+    const fileIndex = segment.start + offset - segment.offset;
+    let line = 0;
+    while (
+      line + 1 < segment.lineStarts.length &&
+      segment.lineStarts[line + 1] <= fileIndex
+    ) {
+      line++;
+    }
+    return { file: segment.file, line: line + 1 };
+  };
+
+  return { text, locate, inputs, missingInputs: [...missingInputs] };
+}
+
+// Running text of a stretch of LaTeX: commands, math and floats removed
+function countText(source) {
+  const text = source
+    .replace(UNCOUNTED_ENVIRONMENTS, " ")
+    .replace(/\$\$[\s\S]*?\$\$|\\\[[\s\S]*?\\\]|\\\([\s\S]*?\\\)/g, " ")
+    .replace(/(^|[^\\])\$(?:\\.|[^$\\])*\$/g, "$1 ")
+    .replace(UNCOUNTED_COMMANDS, " ")
+    .replace(/\\(?:begin|end)\{[^}]*\}/g, " ")
+    .replace(/\\[a-zA-Z@]+\*?/g, " ")
+    .replace(/\\(.)/g, "$1")
+    .replace(/[{}~]/g, " ");
+  const words = text.split(/\s+/).filter((word) => /[\p{L}\p{N}]/u.test(word));
+  return {
+    words: words.length,
+    characters: words.join("").length,
+  };
+}
+
+const plainTitle = (source) =>
+  source
+    .replace(/\\[a-zA-Z@]+\*?/g, " ")
+    .replace(/[{}]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Splits a \ref/\cite argument into its keys
+const splitKeys = (keys) =>
+  keys
+    .split(",")
+    .map((key) => key.trim())
+    .filter((key) => key && key !== "*");
+
+// Reads the braced groups at the start of text ("{1}{2}{Title}...")
+function leadingGroups(text) {
+  const groups = [];
+  let position = 0;
+  while (text[position] === "{") {
+    const end = skipBraceGroup(text, position);
+    if (end === -1) {
+      break;
+    }
+    groups.push(text.slice(position + 1, end - 1));
+    position = end;
+  }
+  return groups;
+}
+
+/**
+ * Collects the label numbers and bibliography numbers a build assigned
+ * @param {string} dirPath - Directory the document was compiled in
+ * @param {string} jobname - Main file name without .tex
+ * @returns {Promise<Object|null>} - { labels: Map(key -> { number, page }),
+ * bibitems: Map(key -> number) }, null if there is no .aux
+ */
+async function readAuxLabels(dirPath, jobname) {
+  const auxFiles = await readAuxFiles(dirPath, jobname);
+  if (auxFiles.length === 0) {
+    return null;
+  }
+  const labels = new Map();
+  const bibitems = new Map();
+  for (const aux of auxFiles) {
+    for (const match of aux.matchAll(/\\newlabel\{([^}]*)\}(?=\{)/g)) {
+      // hyperref and cleveref add labels of their own
+      if (match[1].endsWith("@cref") || match[1].startsWith("sub@")) {
+        continue;
+      }
+      const start = match.index + match[0].length;
+      const end = skipBraceGroup(aux, start);
+      const [number, page] = leadingGroups(aux.slice(start + 1, end - 1));
+      labels.set(match[1], { number: number ?? null, page: page ?? null });
+    }
+    for (const match of aux.matchAll(/\\bibcite\{([^}]*)\}(?=\{)/g)) {
+      const start = match.index + match[0].length;
+      const value = aux.slice(start + 1, skipBraceGroup(aux, start) - 1);
+      // natbib writes {{number}{year}{{authors}}{{full authors}}}
+      bibitems.set(
+        match[1],
+        value.startsWith("{") ? leadingGroups(value)[0] : value
+      );
+    }
+  }
+  return { labels, bibitems };
+}
+
+/**
+ * Outline, floats, labels, references, citations and word counts of a document
+ * @param {string} rootDir - Directory of the project
+ * @param {string} mainPath - Main .tex file
+ * @param {Object|null} aux - Result of readAuxLabels after a compile
+ * @returns {Promise<Object>} - The analysis
+ */
+async function analyzeDocument(rootDir, mainPath, aux) {
+  const { text, locate, inputs, missingInputs } = await readDocumentSources(
+    rootDir,
+    mainPath
+  );
+  const beginDocument = text.indexOf("\\begin{document}");
+  const bodyStart =
+    beginDocument === -1 ? 0 : beginDocument + "\\begin{document}".length;
+  const endDocument = text.indexOf("\\end{document}", bodyStart);
+  const bodyEnd = endDocument === -1 ? text.length : endDocument;
+  const body = text.slice(bodyStart, bodyEnd);
+  const at = (index) => locate(bodyStart + index);
+  const auxLabel = (key) => (key && aux?.labels.get(key)) || null;
+
+  // Abstract: the environment, or MDPI's \abstract{...}
+  let abstractRange = null;
+  const abstractMatch = body.match(
+    /\\begin\{abstract\}([\s\S]*?)\\end\{abstract\}/
+  );
+  if (abstractMatch) {
+    abstractRange = [
+      abstractMatch.index,
+      abstractMatch.index + abstractMatch[0].length,
+    ];
+  } else {
+    const command = /\\abstract\s*(?=\{)/.exec(body);
+    const end =
+      command && skipBraceGroup(body, command.index + command[0].length);
+    if (command && end !== -1) {
+      abstractRange = [command.index, end];
+    }
+  }
+  const abstractText = abstractRange ? body.slice(...abstractRange) : "";
+  const blanked = abstractRange
+    ? body.slice(0, abstractRange[0]) +
+      " ".repeat(abstractText.length) +
+      body.slice(abstractRange[1])
+    : body;
+
+  // Headings and the text up to the next one
+  const headings = [];
+  const headingPattern = new RegExp(
+    `\\\\(${HEADING_LEVELS.join("|")})(\\*?)\\s*(?:\\[[^\\]]*\\]\\s*)?(?=\\{)`,
+    "g"
+  );
+  let match;
+  while ((match = headingPattern.exec(body))) {
+    const titleEnd = skipBraceGroup(body, headingPattern.lastIndex);
+    if (titleEnd === -1) {
+      break;
+    }
+    headings.push({
+      level: match[1],
+      numbered: !match[2],
+      title: plainTitle(body.slice(headingPattern.lastIndex + 1, titleEnd - 1)),
+      start: match.index,
+      titleEnd,
+    });
+    headingPattern.lastIndex = titleEnd;
+  }
+
+  const outline = [];
+  const open = []; // innermost section last
+  headings.forEach((heading, index) => {
+    const end = headings[index + 1]?.start ?? body.length;
+    const label = body
+      .slice(heading.titleEnd, end)
+      .match(/^\s*\\label\{([^}]*)\}/);
+    const node = {
+      level: heading.level,
+      title: heading.title,
+      numbered: heading.numbered,
+      number: auxLabel(label?.[1])?.number ?? null,
+      label: label ? label[1] : null,
+      ...at(heading.start),
+      ...countText(blanked.slice(heading.titleEnd, end)),
+      children: [],
+    };
+    const rank = HEADING_LEVELS.indexOf(heading.level);
+    while (
+      open.length > 0 &&
+      HEADING_LEVELS.indexOf(open[open.length - 1].level) >= rank
+    ) {
+      open.pop();
+    }
+    (open.length > 0 ? open[open.length - 1].children : outline).push(node);
+    open.push(node);
+  });
+  // Sections count their subsections too
+  const addChildCounts = (node) => {
+    for (const child of node.children) {
+      addChildCounts(child);
+      node.words += child.words;
+      node.characters += child.characters;
+    }
+  };
+  outline.forEach(addChildCounts);
+
+  // Figures and tables
+  const floats = { figure: [], table: [] };
+  for (const float of body.matchAll(
+    /\\begin\{(figure|table)(\*?)\}([\s\S]*?)\\end\{\1\2\}/g
+  )) {
+    const caption = commandArgument(float[3], "caption");
+    const label = commandArgument(float[3], "label");
+    const numbers = auxLabel(label);
+    floats[float[1]].push({
+      caption: caption === null ? null : plainTitle(caption),
+      label,
+      number: numbers?.number ?? null,
+      page: numbers?.page ?? null,
+      ...at(float.index),
+    });
+  }
+
+  // Labels and references
+  const labels = new Map();
+  for (const label of body.matchAll(/\\label\s*\{([^}]*)\}/g)) {
+    const key = label[1].trim();
+    if (!labels.has(key)) {
+      labels.set(key, []);
+    }
+    labels.get(key).push(at(label.index));
+  }
+  const references = new Map();
+  for (const reference of body.matchAll(REF_COMMANDS)) {
+    for (const key of splitKeys(reference[2])) {
+      if (!references.has(key)) {
+        references.set(key, []);
+      }
+      references
+        .get(key)
+        .push({ command: reference[1], ...at(reference.index) });
+    }
+  }
+  const isDefined = (key) => labels.has(key) || !!aux?.labels.has(key);
+
+  // Citations
+  const citations = new Map();
+  for (const citation of body.matchAll(CITE_COMMANDS)) {
+    for (const key of splitKeys(citation[2])) {
+      if (!citations.has(key)) {
+        citations.set(key, {
+          key,
+          count: 0,
+          number: aux?.bibitems.get(key) ?? null,
+          resolved: aux ? aux.bibitems.has(key) : null,
+          ...at(citation.index),
+        });
+      }
+      citations.get(key).count++;
+    }
+  }
+  // biblatex writes no \bibcite; don't call its citations unresolved
+  const checkCitations = !!aux && aux.bibitems.size > 0;
+
+  const bodyCountStart = headings.length > 0 ? headings[0].start : 0;
+  return {
+    compiled: !!aux,
+    inputs,
+    missingInputs,
+    outline,
+    figures: floats.figure,
+    tables: floats.table,
+    labels: [...labels].map(([key, locations]) => ({
+      key,
+      ...locations[0],
+      number: auxLabel(key)?.number ?? null,
+      page: auxLabel(key)?.page ?? null,
+      references: references.get(key)?.length || 0,
+    })),
+    references: {
+      unresolved: [...references]
+        .filter(([key]) => !isDefined(key))
+        .flatMap(([key, uses]) => uses.map((use) => ({ key, ...use }))),
+      unused: [...labels.keys()].filter((key) => !references.has(key)),
+      duplicates: [...labels]
+        .filter(([, locations]) => locations.length > 1)
+        .map(([key, locations]) => ({ key, locations })),
+    },
+    citations: {
+      keys: [...citations.values()],
+      total: [...citations.values()].reduce(
+        (total, citation) => total + citation.count,
+        0
+      ),
+      unresolved: checkCitations
+        ? [...citations.values()]
+            .filter((citation) => !citation.resolved)
+            .map((citation) => citation.key)
+        : [],
+    },
+    counts: {
+      abstract: countText(abstractText),
+      body: countText(blanked.slice(bodyCountStart)),
+      captions: [...floats.figure, ...floats.table].reduce(
+        (counts, float) => {
+          const caption = countText(float.caption || "");
+          return {
+            words: counts.words + caption.words,
+            characters: counts.characters + caption.characters,
+          };
+        },
+        { words: 0, characters: 0 }
+      ),
+    },
+  };
+}
+
+// Returns an error message if the analyze request body is unusable
+function validateAnalyzeRequest(body) {
+  if (body?.compile !== undefined && typeof body.compile !== "boolean") {
+    return "compile must be a boolean";
+  }
+  const { compile, ...request } = body || {};
+  return validateCompileRequest(request);
+}
+
+// Outline, cross-references, citations and word counts of a manuscript.
+// Compiles it first (so numbers, pages and citations come from the .aux)
+// unless `compile: false` asks for the quicker source-only analysis.
+app.post("/analyze", requireScope("compile"), async (req, res, next) => {
+  const validationError = validateAnalyzeRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  const { compile, ...request } = req.body;
+
+  try {
+    if (compile === false) {
+      const { missing } = await checkAssets(collectAssetHashes(request));
+      if (missing.length > 0) {
+        return res.status(400).json({ error: "Missing assets", missing });
+      }
+      await fs.mkdirp(WORKSPACE_ROOT);
+      const tempDir = await fs.mkdtemp(path.join(WORKSPACE_ROOT, "analyze-"));
+      try {
+        const { mainPath, git } = await materializeVersion(request, tempDir);
+        return res.json({
+          ...(await analyzeDocument(tempDir, mainPath, null)),
+          git,
+        });
+      } finally {
+        await fs.remove(tempDir);
+      }
+    }
+
+    logCompileRequest(req, "analyze");
+    const job = await admitCompileJob(req, res, { ...request, analyze: true });
+    if (!job) {
+      return;
+    }
+    await job.finished;
+
+    if (job.status === "cancelled") {
+      return res
+        .status(409)
+        .json({ error: "Compilation cancelled", jobId: job.id });
+    }
+    if (!job.result?.analysis) {
+      return res.status(job.limitExceeded ? 422 : 500).json({
+        error: "Analysis could not run",
+        details: job.error,
+        limit: job.limitExceeded,
+        jobId: job.id,
+      });
+    }
+    res.json({
+      jobId: job.id,
+      ...job.result.analysis,
+      compiled: job.status === "done",
+      summary: job.result.summary,
+      links: serializeJob(job).links,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Submission preflight
+// A compile with `preflight: true` (or a POST /preflight) also runs the rule
+// set of its journal template and returns a checklist of pass / warn / fail
+// items, so problems the editorial office would bounce a submission for show
+// up before it is sent. Source rules look at the main file only.
+const PREFLIGHT_MIN_IMAGE_PPI =
+  parseInt(process.env.PREFLIGHT_MIN_IMAGE_PPI, 10) || 300;
+const PREFLIGHT_STATUSES = ["pass", "skip", "warn", "fail"];
+
+// Journal and article type options the MDPI class accepts, read once
+let mdpiOptions = null;
+async function loadMdpiOptions() {
+  if (!mdpiOptions) {
+    const definitions = path.join(TEMPLATES_DIR, "mdpi", "Definitions");
+    const declaredOptions = (source, pattern) =>
+      [...source.matchAll(pattern)].map((match) => match[1]);
+    const journalNames = await fs.readFile(
+      path.join(definitions, "journalnames.tex"),
+      "utf-8"
+    );
+    const mdpiClass = await fs.readFile(
+      path.join(definitions, "mdpi.cls"),
+      "utf-8"
+    );
+    mdpiOptions = {
+      journals: new Set(
+        declaredOptions(journalNames, /^\\DeclareOption\{(\w+)\}/gm)
+      ),
+      articleTypes: new Set(
+        declaredOptions(
+          mdpiClass,
+          /^\\DeclareOption\{(\w+)\}\{\\gdef\\@arttype/gm
+        )
+      ),
+    };
+  }
+  return mdpiOptions;
+}
+
+// Drops comments so commented-out sample lines don't count
+const stripTexComments = (source) => source.replace(/(^|[^\\])%.*$/gm, "$1");
+
+/**
+ * Reads the brace-delimited argument of the first use of a command
+ * @param {string} source - LaTeX source without comments
+ * @param {string} command - Command name without the backslash
+ * @returns {string|null} - The argument, or null if the command isn't used
+ */
+function commandArgument(source, command) {
+  const match = new RegExp(
+    `\\\\${command}(?![a-zA-Z])\\s*(?:\\[[^\\]]*\\]\\s*)*\\{`
+  ).exec(source);
+  if (!match) {
+    return null;
+  }
+  let depth = 1;
+  const start = match.index + match[0].length;
+  for (let i = start; i < source.length; i++) {
+    if (source[i] === "\\") {
+      i++;
+    } else if (source[i] === "{") {
+      depth++;
+    } else if (source[i] === "}" && --depth === 0) {
+      return source.slice(start, i).trim();
+    }
+  }
+  return null;
+}
+
+const environmentBody = (source, name) => {
+  const match = source.match(
+    new RegExp(`\\\\begin\\{${name}\\}([\\s\\S]*?)\\\\end\\{${name}\\}`)
+  );
+  return match ? match[1].trim() : null;
+};
+
+const countWords = (text) =>
+  text
+    .replace(/\\[a-zA-Z]+\*?/g, " ")
+    .split(/\s+/)
+    .filter((word) => /\w/.test(word)).length;
+
+const preflightItem = (id, title, status, message, details) => ({
+  id,
+  title,
+  status,
+  message,
+  ...(details && details.length > 0 && { details }),
+});
+
+// Options of the \documentclass line, in order
+function documentClassOptions(source) {
+  const match = source.match(
+    /\\documentclass\s*(?:\[([^\]]*)\])?\s*\{([^}]*)\}/
+  );
+  return match
+    ? {
+        className: match[2].trim(),
+        options: (match[1] || "")
+          .split(",")
+          .map((option) => option.trim())
+          .filter((option) => option),
+      }
+    : null;
+}
+
+async function mdpiRules(source) {
+  const { journals, articleTypes } = await loadMdpiOptions();
+  const { options } = documentClassOptions(source) || { options: [] };
+  const items = [];
+
+  const journal = options[0];
+  if (!journal || journal === "journal") {
+    items.push(
+      preflightItem(
+        "mdpi-journal",
+        "Journal option",
+        "fail",
+        "The first \\documentclass option must be the journal name, not the 'journal' placeholder"
+      )
+    );
+  } else if (!journals.has(journal)) {
+    items.push(
+      preflightItem(
+        "mdpi-journal",
+        "Journal option",
+        "fail",
+        `Unknown journal '${journal}', see Definitions/journalnames.tex`
+      )
+    );
+  } else {
+    items.push(
+      preflightItem("mdpi-journal", "Journal option", "pass", journal)
+    );
+  }
+
+  const types = options.filter((option) => articleTypes.has(option));
+  items.push(
+    types.length === 1
+      ? preflightItem("mdpi-article-type", "Article type", "pass", types[0])
+      : preflightItem(
+          "mdpi-article-type",
+          "Article type",
+          "fail",
+          types.length === 0
+            ? "No article type option such as 'article' or 'review'"
+            : `Several article types: ${types.join(", ")}`
+        )
+  );
+
+  if (options.includes("submit")) {
+    items.push(
+      preflightItem("mdpi-status", "Submission status", "pass", "submit")
+    );
+  } else if (options.includes("accept")) {
+    items.push(
+      preflightItem(
+        "mdpi-status",
+        "Submission status",
+        "warn",
+        "'accept' is set by the Editorial Office, submit with 'submit'"
+      )
+    );
+  } else {
+    items.push(
+      preflightItem(
+        "mdpi-status",
+        "Submission status",
+        "fail",
+        "The 'submit' option is missing"
+      )
+    );
+  }
+
+  const authorOptions = options.filter(
+    (option) => option === "oneauthor" || option === "moreauthors"
+  );
+  const authorNames = commandArgument(source, "AuthorNames") || "";
+  const authorCount = authorNames
+    ? authorNames.split(/,|\band\b/).filter((name) => name.trim()).length
+    : 0;
+  if (authorOptions.length !== 1) {
+    items.push(
+      preflightItem(
+        "mdpi-authors",
+        "Author count option",
+        "fail",
+        "Exactly one of 'oneauthor' or 'moreauthors' is required"
+      )
+    );
+  } else if (
+    authorCount > 0 &&
+    (authorOptions[0] === "oneauthor") !== (authorCount === 1)
+  ) {
+    items.push(
+      preflightItem(
+        "mdpi-authors",
+        "Author count option",
+        "warn",
+        `'${authorOptions[0]}' is set but \\AuthorNames lists ${authorCount} authors`
+      )
+    );
+  } else {
+    items.push(
+      preflightItem(
+        "mdpi-authors",
+        "Author count option",
+        "pass",
+        authorOptions[0]
+      )
+    );
+  }
+
+  const abstract = commandArgument(source, "abstract");
+  if (
+    !abstract ||
+    abstract.startsWith("A single paragraph of about 200 words")
+  ) {
+    items.push(
+      preflightItem(
+        "abstract",
+        "Abstract",
+        "fail",
+        abstract
+          ? "The abstract is the template placeholder"
+          : "\\abstract{} is missing"
+      )
+    );
+  } else if (countWords(abstract) > 200) {
+    items.push(
+      preflightItem(
+        "abstract",
+        "Abstract",
+        "warn",
+        `${countWords(abstract)} words, MDPI asks for about 200 at most`
+      )
+    );
+  } else {
+    items.push(
+      preflightItem(
+        "abstract",
+        "Abstract",
+        "pass",
+        `${countWords(abstract)} words`
+      )
+    );
+  }
+
+  const keywords = commandArgument(source, "keyword");
+  const keywordList = (keywords || "")
+    .split(";")
+    .map((keyword) => keyword.trim())
+    .filter((keyword) => keyword);
+  if (!keywords || /^keyword 1; keyword 2/.test(keywords)) {
+    items.push(
+      preflightItem(
+        "keywords",
+        "Keywords",
+        "fail",
+        keywords
+          ? "The keywords are the template placeholder"
+          : "\\keyword{} is missing"
+      )
+    );
+  } else if (keywordList.length < 3 || keywordList.length > 10) {
+    items.push(
+      preflightItem(
+        "keywords",
+        "Keywords",
+        "warn",
+        `${keywordList.length} keywords, MDPI asks for three to ten separated by ';'`
+      )
+    );
+  } else {
+    items.push(
+      preflightItem(
+        "keywords",
+        "Keywords",
+        "pass",
+        `${keywordList.length} keywords`
+      )
+    );
+  }
+  return items;
+}
+
+async function elsevierRules(source) {
+  const { className } = documentClassOptions(source) || {};
+  const items = [];
+
+  items.push(
+    className === "cas-dc"
+      ? preflightItem("elsevier-class", "Document class", "pass", "cas-dc")
+      : preflightItem(
+          "elsevier-class",
+          "Document class",
+          "fail",
+          `The document uses '${className || "no class"}' instead of cas-dc`
+        )
+  );
+
+  const title = commandArgument(source, "title");
+  items.push(
+    !title || title.startsWith("This is a specimen")
+      ? preflightItem(
+          "title",
+          "Title",
+          "fail",
+          title
+            ? "The title is the template placeholder"
+            : "\\title{} is missing"
+        )
+      : preflightItem("title", "Title", "pass", title)
+  );
+
+  const authors = (source.match(/\\author\b/g) || []).length;
+  const affiliations = (source.match(/\\affiliation\b/g) || []).length;
+  items.push(
+    authors > 0 && affiliations > 0
+      ? preflightItem(
+          "elsevier-authors",
+          "Authors and affiliations",
+          "pass",
+          `${authors} authors, ${affiliations} affiliations`
+        )
+      : preflightItem(
+          "elsevier-authors",
+          "Authors and affiliations",
+          "fail",
+          "At least one \\author and one \\affiliation are required"
+        )
+  );
+  items.push(
+    /\\cortext\b/.test(source) && /\\cormark\b/.test(source)
+      ? preflightItem(
+          "elsevier-corresponding",
+          "Corresponding author",
+          "pass",
+          "Marked with \\cormark and \\cortext"
+        )
+      : preflightItem(
+          "elsevier-corresponding",
+          "Corresponding author",
+          "warn",
+          "No corresponding author marked with \\cormark and \\cortext"
+        )
+  );
+
+  const abstract = environmentBody(source, "abstract");
+  items.push(
+    !abstract || abstract.startsWith("This template helps you")
+      ? preflightItem(
+          "abstract",
+          "Abstract",
+          "fail",
+          abstract
+            ? "The abstract is the template placeholder"
+            : "The abstract environment is missing"
+        )
+      : preflightItem(
+          "abstract",
+          "Abstract",
+          "pass",
+          `${countWords(abstract)} words`
+        )
+  );
+
+  const keywords = environmentBody(source, "keywords");
+  const keywordList = (keywords || "")
+    .split(/\\sep\b/)
+    .map((keyword) => keyword.trim())
+    .filter((keyword) => keyword);
+  if (!keywords) {
+    items.push(
+      preflightItem(
+        "keywords",
+        "Keywords",
+        "fail",
+        "The keywords environment is missing"
+      )
+    );
+  } else if (keywordList.length > 7) {
+    items.push(
+      preflightItem(
+        "keywords",
+        "Keywords",
+        "warn",
+        `${keywordList.length} keywords, Elsevier journals allow up to 7 separated by \\sep`
+      )
+    );
+  } else {
+    items.push(
+      preflightItem(
+        "keywords",
+        "Keywords",
+        "pass",
+        `${keywordList.length} keywords`
+      )
+    );
+  }
+
+  const highlights = environmentBody(source, "highlights");
+  const highlightItems = (highlights || "")
+    .split(/\\item\b/)
+    .slice(1)
+    .map((item) => item.trim());
+  const longHighlights = highlightItems.filter((item) => item.length > 85);
+  if (!highlights) {
+    items.push(
+      preflightItem(
+        "elsevier-highlights",
+        "Highlights",
+        "warn",
+        "No highlights environment; most Elsevier journals require 3 to 5"
+      )
+    );
+  } else if (
+    highlightItems.length < 3 ||
+    highlightItems.length > 5 ||
+    longHighlights.length > 0
+  ) {
+    items.push(
+      preflightItem(
+        "elsevier-highlights",
+        "Highlights",
+        "warn",
+        "Elsevier asks for 3 to 5 highlights of at most 85 characters",
+        longHighlights.map((item) => `${item.length} characters: ${item}`)
+      )
+    );
+  } else {
+    items.push(
+      preflightItem(
+        "elsevier-highlights",
+        "Highlights",
+        "pass",
+        `${highlightItems.length} highlights`
+      )
+    );
+  }
+  return items;
+}
+
+const PREFLIGHT_RULES = {
+  mdpi: mdpiRules,
+  "elsevier-dc": elsevierRules,
+};
+
+// Works out the template from the \documentclass when the request has none
+function detectTemplate(source) {
+  const { className } = documentClassOptions(source) || {};
+  return (
+    Object.keys(TEMPLATES).find(
+      (templateId) => TEMPLATES[templateId].documentClass === className
+    ) || null
+  );
+}
+
+// Fonts the PDF uses but doesn't embed, via pdffonts
+async function checkFontEmbedding(pdfPath) {
+  const fonts = await runCommand("pdffonts", [pdfPath]);
+  if (fonts.code !== 0) {
+    throw new Error(`pdffonts failed: ${fonts.stderr.trim()}`);
+  }
+
+  // Columns are fixed width, as wide as the dashes under the header
+  const lines = fonts.stdout.split("\n");
+  const ruler = lines.findIndex((line) => line.startsWith("---"));
+  const columns = [];
+  let start = 0;
+  for (const dashes of lines[ruler].split(" ")) {
+    columns.push([start, start + dashes.length]);
+    start += dashes.length + 1;
+  }
+  const column = (line, index) => line.slice(...columns[index]).trim();
+
+  return lines
+    .slice(ruler + 1)
+    .filter((line) => line.trim() && column(line, 3) !== "yes")
+    .map((line) => `${column(line, 0) || "[none]"} (${column(line, 1)})`);
+}
+
+// Raster images below PREFLIGHT_MIN_IMAGE_PPI, via pdfimages -list
+async function checkImageResolution(pdfPath) {
+  const images = await runCommand("pdfimages", ["-list", pdfPath]);
+  if (images.code !== 0) {
+    throw new Error(`pdfimages failed: ${images.stderr.trim()}`);
+  }
+
+  const lowResolution = [];
+  for (const line of images.stdout.split("\n").slice(2)) {
+    const fields = line.trim().split(/\s+/);
+    if (fields.length < 14 || fields[2] !== "image") {
+      continue;
+    }
+    const ppi = Math.min(parseInt(fields[12], 10), parseInt(fields[13], 10));
+    if (ppi < PREFLIGHT_MIN_IMAGE_PPI) {
+      lowResolution.push(
+        `Page ${fields[0]}, image ${fields[1]}: ${ppi} ppi (${fields[3]}x${fields[4]} pixels)`
+      );
+    }
+  }
+  return lowResolution;
+}
+
+/**
+ * Runs the generic and the template specific preflight rules on a build
+ * @param {Object} job - Job being compiled
+ * @param {string} pdfPath - PDF of the build, or null if it failed
+ * @param {Object[]} diagnostics - Diagnostics of the build
+ * @returns {Promise<Object>} - Template, overall status and the checklist
+ */
+async function runPreflight(job, pdfPath, diagnostics) {
+  const source = stripTexComments(await fs.readFile(job.mainPath, "utf-8"));
+  const template = job.request.template || detectTemplate(source);
+  const checklist = [];
+
+  const errors = diagnostics.filter((diag) => diag.severity === "error");
+  checklist.push(
+    pdfPath && errors.length === 0
+      ? preflightItem("compiles", "Document compiles", "pass", "No errors")
+      : preflightItem(
+          "compiles",
+          "Document compiles",
+          "fail",
+          pdfPath ? `${errors.length} errors` : "No PDF was produced",
+          errors.map((diag) => diag.message)
+        )
+  );
+
+  for (const [id, title, category] of [
+    ["citations", "Citations resolved", "citation"],
+    ["references", "Cross-references resolved", "reference"],
+  ]) {
+    const unresolved = diagnostics.filter(
+      (diag) => diag.category === category && diag.severity !== "info"
+    );
+    checklist.push(
+      unresolved.length === 0
+        ? preflightItem(id, title, "pass", "None undefined")
+        : preflightItem(
+            id,
+            title,
+            "fail",
+            `${unresolved.length} problems`,
+            unresolved.map((diag) => diag.message)
+          )
+    );
+  }
+
+  for (const [id, title, check, failStatus, problem] of [
+    ["fonts", "Fonts embedded", checkFontEmbedding, "fail", "not embedded"],
+    [
+      "image-resolution",
+      `Images at ${PREFLIGHT_MIN_IMAGE_PPI} ppi or more`,
+      checkImageResolution,
+      "warn",
+      "below the minimum resolution",
+    ],
+  ]) {
+    if (!pdfPath) {
+      checklist.push(preflightItem(id, title, "skip", "No PDF to check"));
+      continue;
+    }
+    try {
+      const findings = await check(pdfPath);
+      checklist.push(
+        findings.length === 0
+          ? preflightItem(id, title, "pass", "No problems found")
+          : preflightItem(
+              id,
+              title,
+              failStatus,
+              `${findings.length} ${problem}`,
+              findings
+            )
+      );
+    } catch (error) {
+      checklist.push(
+        preflightItem(id, title, "skip", `Could not check: ${error.message}`)
+      );
+    }
+  }
+
+  if (template && PREFLIGHT_RULES[template]) {
+    checklist.push(...(await PREFLIGHT_RULES[template](source)));
+  }
+
+  const status = checklist.reduce(
+    (worst, item) =>
+      PREFLIGHT_STATUSES.indexOf(item.status) >
+      PREFLIGHT_STATUSES.indexOf(worst)
+        ? item.status
+        : worst,
+    "pass"
+  );
+  return {
+    template,
+    status: status === "skip" ? "pass" : status,
+    checklist,
+  };
+}
+
+/**
+ * Writes the request sources, builds them and collects the artifacts
+ * @param {Object} job - Job whose request should be compiled
+ * @returns {Promise<Object>} - Artifact paths plus formatted output and diagnostics
+ */
+async function runCompilation(job) {
+  const { imageReferences } = job.request;
+  const stdout = [];
+  const processErrors = [];
+  const jobDir = path.join(JOBS_DIR, job.id);
+  let dirPath = null;
+  let jobname = null;
+
+  try {
+    const sources = await materializeSources(job);
+    dirPath = sources.dirPath;
+    jobname = sources.baseFilename.replace(/\.tex$/, "");
+    const baseFilename = sources.baseFilename;
+    const pdfPath = path.join(dirPath, baseFilename.replace(".tex", ".pdf"));
+    const logPath = path.join(dirPath, baseFilename.replace(".tex", ".log"));
+
+    stdout.push(
+      ...(await runBuildRecipe(job, dirPath, baseFilename, processErrors))
+    );
+
+    // Keep the log with the job so it can be fetched even when the build failed
+    await fs.mkdirp(jobDir);
+    const logExists = await fs.pathExists(logPath);
+    if (logExists) {
+      await fs.copy(logPath, path.join(jobDir, "output.log"));
+    }
+
+    // Check if PDF exists and keep a copy with the job
+    if (!(await fs.pathExists(pdfPath))) {
+      const error = new Error(
+        `No PDF was generated. Directory contents: ${(await fs.readdir(dirPath)).join(", ")}`
+      );
+      error.code = "NO_PDF";
+      throw error;
+    }
+
+    const pdfSize = (await fs.stat(pdfPath)).size;
+    if (pdfSize > job.limits.maxPdfBytes) {
+      throw limitExceededError("maxPdfBytes", job.limits.maxPdfBytes, pdfSize);
+    }
+    const logContent = logExists ? await fs.readFile(logPath, "utf-8") : "";
+    const pagesMatch = logContent.match(/Output written on .*?\((\d+) pages?/);
+    if (pagesMatch && parseInt(pagesMatch[1], 10) > job.limits.maxPages) {
+      throw limitExceededError(
+        "maxPages",
+        job.limits.maxPages,
+        parseInt(pagesMatch[1], 10)
+      );
+    }
+
+    await fs.copy(pdfPath, path.join(jobDir, "output.pdf"));
+
+    // Extract any errors/warnings from the logs
+    const diagnostics = await collectDiagnostics(
+      dirPath,
+      jobname,
+      processErrors,
+      job.sandboxViolations
+    );
+    logger.info("Compiled", { summary: summarizeDiagnostics(diagnostics) });
+    const bibliography = await analyzeBibliography(job, dirPath, jobname);
+
+    const outputs = await collectOutputs(job, dirPath, jobname);
+    const preflight = job.request.preflight
+      ? await runPreflight(job, path.join(jobDir, "output.pdf"), diagnostics)
+      : undefined;
+    const analysis = job.request.analyze
+      ? await analyzeDocument(
+          job.workspace || job.cache.buildDir,
+          job.mainPath,
+          await readAuxLabels(dirPath, jobname)
+        )
+      : undefined;
+
+    // Now that the bundle has them, clean up downloaded images to save space
+    if (imageReferences && Object.keys(imageReferences).length > 0) {
+      try {
+        const imagesDir = path.join(dirPath, "images");
+        if (await fs.pathExists(imagesDir)) {
+          await fs.remove(imagesDir);
+        }
+      } catch (cleanupError) {
+        logger.warn("Error cleaning up images", { error: cleanupError });
+        // Don't fail the request due to cleanup errors
+      }
+    }
+
+    return {
+      pdfPath: path.join(jobDir, "output.pdf"),
+      logPath: path.join(jobDir, "output.log"),
+      output: formatLatexOutput(stdout.join("")),
+      outputs,
+      preflight,
+      analysis,
+      bibliography,
+      ...diagnosticsResult(diagnostics),
+    };
+  } catch (error) {
+    logger.warn("Compilation failed", { error });
+
+    // Parse the logs if the build got that far, otherwise whatever stdout we have
+    let diagnostics = [];
+    try {
+      diagnostics = dirPath
+        ? await collectDiagnostics(
+            dirPath,
+            jobname,
+            processErrors,
+            job.sandboxViolations
+          )
+        : analyzeLatexLog(stdout.join(""), null);
+    } catch (parseError) {
+      logger.error("Error parsing LaTeX output", { error: parseError });
+    }
+
+    error.result = {
+      output: formatLatexOutput(
+        stdout.join("") || "No compilation output available"
+      ),
+      ...diagnosticsResult(diagnostics),
+    };
+    if (dirPath) {
+      try {
+        error.result.bibliography = await analyzeBibliography(
+          job,
+          dirPath,
+          jobname
+        );
+      } catch (bibliographyError) {
+        logger.error("Error checking the bibliography", {
+          error: bibliographyError,
+        });
+      }
+    }
+
+    // A failed build still gets its source checks
+    if (job.request.preflight && job.mainPath && !job.abortError) {
+      try {
+        error.result.preflight = await runPreflight(job, null, diagnostics);
+      } catch (preflightError) {
+        logger.error("Error running preflight", { error: preflightError });
+      }
+    }
+    if (job.request.analyze && job.mainPath && !job.abortError) {
+      try {
+        error.result.analysis = await analyzeDocument(
+          job.workspace || job.cache.buildDir,
+          job.mainPath,
+          await readAuxLabels(dirPath, jobname)
+        );
+      } catch (analysisError) {
+        logger.error("Error analyzing the document", { error: analysisError });
+      }
+    }
+    throw error;
+  }
+}
+
+// Returns an error message if the compile request body is unusable
+function validateCompileRequest(body) {
+  const { content, filename, files, archive, git, template, engine, recipe } =
+    body || {};
+  if (files !== undefined || archive !== undefined || git !== undefined) {
+    const projectError = validateProjectRequest(body);
+    if (projectError) {
+      return projectError;
+    }
+  } else if (!content || !filename) {
+    return "Missing required fields";
+  } else if (!normalizeProjectPath(filename)) {
+    return `Invalid filename: ${filename}`;
+  }
+  if (template !== undefined && !isKnownTemplate(template)) {
+    return `Unknown template: ${template}`;
+  }
+  if (engine !== undefined && !isKnownEngine(engine)) {
+    return `Unknown engine: ${engine}. Expected one of ${Object.keys(TEX_ENGINES).join(", ")}`;
+  }
+  if (recipe !== undefined && !BUILD_RECIPES.includes(recipe)) {
+    return `Unknown recipe: ${recipe}. Expected one of ${BUILD_RECIPES.join(", ")}`;
+  }
+  const isolationError = validateEngineIsolation(resolveEngine(body));
+  if (isolationError) {
+    return isolationError;
+  }
+  const invalidHashes = collectAssetHashes(body).filter(
+    (hash) => !isAssetHash(hash)
+  );
+  if (invalidHashes.length > 0) {
+    return `Invalid asset hashes: ${invalidHashes.join(", ")}`;
+  }
+  const { outputs } = body;
+  if (
+    outputs !== undefined &&
+    (!Array.isArray(outputs) ||
+      outputs.some((output) => !OUTPUT_TYPES.includes(output)))
+  ) {
+    return `outputs must be a list of ${OUTPUT_TYPES.join(", ")}`;
+  }
+  const { bibliography } = body;
+  if (bibliography !== undefined) {
+    if (!bibliography || typeof bibliography !== "object") {
+      return "bibliography must be an object";
+    }
+    if (
+      bibliography.style !== undefined &&
+      !isKnownBibliographyStyle(bibliography.style)
+    ) {
+      return `Unknown bibliography style: ${bibliography.style}. Expected one of ${Object.keys(BIBLIOGRAPHY_STYLES).join(", ")}`;
+    }
+    if (bibliography.style !== undefined && recipe === "latexmk") {
+      return "bibliography.style needs the auto recipe";
+    }
+    if (
+      bibliography.enrich !== undefined &&
+      typeof bibliography.enrich !== "boolean"
+    ) {
+      return "bibliography.enrich must be a boolean";
+    }
+  }
+  if (body.preflight !== undefined && typeof body.preflight !== "boolean") {
+    return "preflight must be a boolean";
+  }
+  if (body.analyze !== undefined && typeof body.analyze !== "boolean") {
+    return "analyze must be a boolean";
+  }
+  const limitsError = validateLimits(body.limits);
+  if (limitsError) {
+    return limitsError;
+  }
+  const shellEscapeError = validateShellEscape(body.shellEscape);
+  if (shellEscapeError) {
+    return shellEscapeError;
+  }
+  const callbackError = validateCallback(body.callback);
+  if (callbackError) {
+    return callbackError;
+  }
+  if (
+    body.projectId !== undefined &&
+    (typeof body.projectId !== "string" ||
+      !PROJECT_ID_PATTERN.test(body.projectId))
+  ) {
+    return `Invalid projectId: ${body.projectId}`;
+  }
+  return null;
+}
+
+// Shape of a compile request, without its contents
+function logCompileRequest(req, kind) {
+  const {
+    content,
+    filename,
+    files,
+    archive,
+    git,
+    mainFile,
+    bibliography,
+    imageReferences,
+    template,
+    engine,
+    recipe,
+    shellEscape,
+    callback,
+  } = req.body || {};
+
+  logger.info("Compile request received", {
+    kind,
+    ip: req.ip,
+    keyId: req.apiKey.id,
+    filename: filename || mainFile,
+    contentLength: content?.length || 0,
+    projectFiles: files ? Object.keys(files).length : 0,
+    archive: archive ? archive.format || "zip" : undefined,
+    git: git?.repository,
+    revision: git?.revision,
+    template,
+    engine,
+    recipe,
+    shellEscape,
+    callback: callback?.url ? loggableUrl(callback.url) : undefined,
+    bibliography: !!bibliography,
+    imageReferences: imageReferences ? Object.keys(imageReferences).length : 0,
+  });
+}
+
+/**
+ * Validates a compile request and checks the caller's assets and quotas
+ * @param {Object} req - Express request of the caller
+ * @param {Object} res - Express response, answered when the job is refused
+ * @param {Object} request - Compile request body
+ * @returns {Promise<Object|null>} - The queued job, or null if it was refused
+ */
+async function admitCompileJob(req, res, request) {
+  const validationError = validateCompileRequest(request);
+  if (validationError) {
+    logger.warn("Rejected compile request", { error: validationError });
+    res.status(400).json({ error: validationError });
+    return null;
+  }
+  const { missing } = await checkAssets(collectAssetHashes(request));
+  if (missing.length > 0) {
+    res.status(400).json({ error: "Missing assets", missing });
+    return null;
+  }
+  const quotaError = checkJobQuota(req.apiKey);
+  if (quotaError) {
+    res.status(429).json({ error: quotaError });
+    return null;
+  }
+  return enqueueJob(createJob(request, getClientId(req)));
+}
+
+app.post("/compile", requireScope("compile"), async (req, res) => {
+  try {
+    logCompileRequest(req, "compile");
+
+    const job = await admitCompileJob(req, res, req.body);
+    if (!job) {
+      return;
+    }
+
+    // Hold the connection until the queued job has finished
+    await job.finished;
+    res.set("X-Job-Id", job.id);
+    if (job.result?.summary) {
+      res.set("X-LaTeX-Output", JSON.stringify(job.result.summary));
+    }
+
+    if (job.status === "cancelled") {
+      return res.status(409).json({
+        error: "Compilation cancelled",
+        jobId: job.id,
+        ...job.result,
+      });
+    }
+    if (job.limitExceeded) {
+      return res.status(422).json({
+        error: "Resource limit exceeded",
+        details: job.error,
+        limit: job.limitExceeded,
+        jobId: job.id,
+        git: job.git,
+        images: job.images,
+        ...job.result,
+      });
+    }
+    if (job.status === "failed") {
+      return res.status(500).json({
+        error: "PDF compilation failed",
+        details: job.error,
+        jobId: job.id,
+        git: job.git,
+        images: job.images,
+        ...job.result,
+      });
+    }
+
+    // Clients that prefer application/pdf get the bare PDF; the diagnostics
+    // summary is in X-LaTeX-Output and the details at the Link target
+    if (
+      req.accepts(["application/json", "application/pdf"]) === "application/pdf"
+    ) {
+      res.set("Link", `</jobs/${job.id}/diagnostics>; rel="describedby"`);
+      return res.type("application/pdf").sendFile(job.result.pdfPath);
+    }
+
+    const pdfBuffer = await fs.readFile(job.result.pdfPath);
+
+    // If we have a PDF, return it along with any warnings
+    return res.status(200).json({
+      success: true,
+      jobId: job.id,
+      pdf: pdfBuffer.toString("base64"),
+      output: job.result.output,
+      cache: serializeCache(job),
+      git: job.git,
+      images: job.images,
+      outputs: serializeOutputs(job),
+      bibliography: job.result.bibliography,
+      diagnostics: job.result.diagnostics,
+      summary: job.result.summary,
+      errors: job.result.errors,
+      warnings: job.result.warnings,
+    });
+  } catch (error) {
+    logger.error("Compile request failed", { error });
+
+    res.status(500).json({
+      error: "Server error",
+      details: error.message,
+      output: "No compilation output available",
+      ...diagnosticsResult([]),
+    });
+  }
+});
+
+// Compile and check a manuscript against its journal's submission rules.
+// Answers with the checklist rather than the PDF, which stays available at
+// /jobs/:id/pdf.
+app.post("/preflight", requireScope("compile"), async (req, res, next) => {
+  logCompileRequest(req, "preflight");
+
+  try {
+    const job = await admitCompileJob(req, res, {
+      ...req.body,
+      preflight: true,
+    });
+    if (!job) {
+      return;
+    }
+    await job.finished;
+
+    if (job.status === "cancelled") {
+      return res
+        .status(409)
+        .json({ error: "Compilation cancelled", jobId: job.id });
+    }
+    if (job.limitExceeded) {
+      return res.status(422).json({
+        error: "Resource limit exceeded",
+        details: job.error,
+        limit: job.limitExceeded,
+        jobId: job.id,
+      });
+    }
+    if (!job.result?.preflight) {
+      return res.status(500).json({
+        error: "Preflight could not run",
+        details: job.error,
+        jobId: job.id,
+      });
+    }
+
+    res.json({
+      jobId: job.id,
+      compiled: job.status === "done",
+      ...job.result.preflight,
+      summary: job.result.summary,
+      diagnostics: job.result.diagnostics,
+      links: serializeJob(job).links,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Submit a compile job without holding the connection open
+app.post("/jobs", requireScope("compile"), async (req, res, next) => {
+  logCompileRequest(req, "job");
+
+  try {
+    const job = await admitCompileJob(req, res, req.body);
+    if (job) {
+      res.status(202).location(`/jobs/${job.id}`).json(serializeJob(job));
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Jobs are only visible to the key that submitted them, and to admins
+function findClientJob(req) {
+  const job = jobs.get(req.params.id);
+  if (
+    job &&
+    (job.clientId === getClientId(req) || req.apiKey.scopes.includes("admin"))
+  ) {
+    return job;
+  }
+  return null;
+}
+
+app.get("/jobs/:id", requireScope("compile"), (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json(serializeJob(job));
+});
+
+app.get("/jobs/:id/pdf", requireScope("compile"), (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.status === "queued" || job.status === "running") {
+    return res
+      .status(409)
+      .json({ error: "Job has not finished", status: job.status });
+  }
+  if (!job.result?.pdfPath) {
+    return res
+      .status(404)
+      .json({ error: "No PDF available for this job", status: job.status });
+  }
+  res.type("application/pdf").sendFile(job.result.pdfPath);
+});
+
+app.get("/jobs/:id/log", requireScope("compile"), async (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.status === "queued" || job.status === "running") {
+    return res
+      .status(409)
+      .json({ error: "Job has not finished", status: job.status });
+  }
+
+  const logPath = path.join(JOBS_DIR, job.id, "output.log");
+  if (!(await fs.pathExists(logPath))) {
+    return res
+      .status(404)
+      .json({ error: "No log available for this job", status: job.status });
+  }
+  res.type("text/plain").sendFile(logPath);
+});
+
+// Compiler output and diagnostics of a finished job, e.g. for clients that
+// downloaded the bare PDF
+app.get("/jobs/:id/diagnostics", requireScope("compile"), (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.status === "queued" || job.status === "running") {
+    return res
+      .status(409)
+      .json({ error: "Job has not finished", status: job.status });
+  }
+  res.json({
+    jobId: job.id,
+    status: job.status,
+    error: job.error,
+    output: job.result?.output,
+    images: job.images,
+    diagnostics: job.result?.diagnostics || [],
+    summary: job.result?.summary,
+    errors: job.result?.errors || [],
+    warnings: job.result?.warnings || false,
+  });
+});
+
+app.get("/jobs/:id/outputs/:name", requireScope("compile"), (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  const output = job.result?.outputs?.[req.params.name];
+  const outputFile = OUTPUT_FILES[req.params.name];
+  if (!output?.file || !outputFile) {
+    return res.status(404).json({
+      error: `No ${req.params.name} output available for this job`,
+      status: job.status,
+    });
+  }
+  res
+    .type(outputFile.type)
+    .attachment(outputFile.file)
+    .sendFile(path.join(JOBS_DIR, job.id, output.file));
+});
+
+app.get("/jobs/:id/thumbnails/:page", requireScope("compile"), (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  const page = (job.result?.outputs?.thumbnails?.pages || []).find(
+    (thumbnail) => String(thumbnail.page) === req.params.page
+  );
+  if (!page) {
+    return res.status(404).json({ error: "Thumbnail not found" });
+  }
+  res.type("image/png").sendFile(path.join(JOBS_DIR, job.id, page.file));
+});
+
+// Finds the job of a SyncTeX request, or answers the request itself
+function findSynctexJob(req, res) {
+  const job = findClientJob(req);
+  if (!job) {
+    res.status(404).json({ error: "Job not found" });
+    return null;
+  }
+  if (job.status === "queued" || job.status === "running") {
+    res.status(409).json({ error: "Job has not finished", status: job.status });
+    return null;
+  }
+  if (!job.result?.outputs?.synctex?.file) {
+    res.status(404).json({
+      error: 'No SyncTeX data for this job, compile with outputs: ["synctex"]',
+    });
+    return null;
+  }
+  return job;
+}
+
+// ?file=chapters/intro.tex&line=12[&column=4]
+app.get(
+  "/jobs/:id/synctex/forward",
+  requireScope("compile"),
+  async (req, res, next) => {
+    const job = findSynctexJob(req, res);
+    if (!job) {
+      return;
+    }
+    const file = normalizeProjectPath(req.query.file);
+    const line = parseInt(req.query.line, 10);
+    const column = parseInt(req.query.column || "0", 10);
+    if (!file || !(line > 0) || !(column >= 0)) {
+      return res.status(400).json({
+        error: "file, a positive line and an optional column are required",
+      });
+    }
+
+    try {
+      res.json({
+        file,
+        line,
+        column,
+        results: await synctexForward(job, file, line, column),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// ?page=1&x=72.5&y=300
+app.get(
+  "/jobs/:id/synctex/inverse",
+  requireScope("compile"),
+  async (req, res, next) => {
+    const job = findSynctexJob(req, res);
+    if (!job) {
+      return;
+    }
+    const page = parseInt(req.query.page, 10);
+    const x = parseFloat(req.query.x);
+    const y = parseFloat(req.query.y);
+    if (!(page > 0) || !Number.isFinite(x) || !Number.isFinite(y)) {
+      return res
+        .status(400)
+        .json({ error: "A positive page and numeric x and y are required" });
+    }
+
+    try {
+      res.json({ page, x, y, results: await synctexInverse(job, page, x, y) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Live progress of a job as Server-Sent Events. Past events are replayed
+// first (from Last-Event-ID when reconnecting) and the stream ends with the
+// final "done" or "failed" event.
+app.get("/jobs/:id/events", requireScope("compile"), (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const isFinal = (event) =>
+    ["done", "failed", "cancelled"].includes(event.type);
+  const send = (event) =>
+    res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`
+    );
+
+  const lastEventId = parseInt(req.get("last-event-id"), 10) || 0;
+  for (const event of job.events) {
+    if (event.id > lastEventId) {
+      send(event);
+    }
+  }
+  if (job.finishedAt) {
+    return res.end();
+  }
+
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    SSE_HEARTBEAT_MS
+  );
+  const unsubscribe = () => {
+    clearInterval(heartbeat);
+    job.emitter.off("event", onEvent);
+  };
+  const onEvent = (event) => {
+    send(event);
+    if (isFinal(event)) {
+      unsubscribe();
+      res.end();
+    }
+  };
+
+  job.emitter.on("event", onEvent);
+  req.on("close", unsubscribe);
+});
 
-        // Check for valid image response
-        if (response.status !== 200) {
-          throw new Error(
-            `HTTP status ${response.status}: ${response.statusText}`
-          );
-        }
+// Cancel a queued or running job, killing its whole process tree
+app.post("/jobs/:id/cancel", requireScope("compile"), (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  if (job.finishedAt) {
+    return res
+      .status(409)
+      .json({ error: "Job has already finished", status: job.status });
+  }
 
-        // Check if we actually got image data
-        const responseContentType = response.headers["content-type"];
-        if (!responseContentType || !responseContentType.startsWith("image/")) {
-          // If not an image, write the response to a log file for inspection
-          const responseText = response.data.toString().substring(0, 1000); // First 1000 chars
-          console.error(
-            `Non-image content type received: ${responseContentType}`
-          );
-          console.error(`Response preview: ${responseText}`);
+  const queuePosition = jobQueue.indexOf(job);
+  if (queuePosition !== -1) {
+    jobQueue.splice(queuePosition, 1);
+    job.status = "cancelled";
+    job.error = "Compilation cancelled";
+    job.finishedAt = new Date();
+    job.failureReason = "cancelled";
+    recordJobMetrics(job);
+    logger.info("Job cancelled while queued", { jobId: job.id });
+    emitJobEvent(job, "cancelled", { status: "cancelled", error: job.error });
+    job.resolveFinished(job);
+    notifyCallback(job);
+  } else {
+    abortJob(job, cancelledError());
+  }
 
-          const logFilePath = path.join(targetDir, `image_${id}_error.log`);
-          await fs.writeFile(
-            logFilePath,
-            `URL: ${url}\nStatus: ${response.status}\nContent-Type: ${responseContentType}\n\nResponse:\n${responseText}`
-          );
-          console.log(`Wrote error details to ${logFilePath}`);
+  res.status(202).json(serializeJob(job));
+});
 
-          throw new Error(
-            `Received non-image content type: ${responseContentType}`
-          );
-        }
+// Callback delivery attempts of a job, newest last
+app.get("/jobs/:id/deliveries", requireScope("compile"), (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+  res.json({
+    jobId: job.id,
+    callback: job.request.callback
+      ? { id: job.callbackId, url: loggableUrl(job.request.callback.url) }
+      : null,
+    deliveries: job.deliveries,
+  });
+});
 
-        // Write the image data to file
-        await fs.writeFile(outputPath, response.data);
-        console.log(
-          `Successfully saved image ${id} to ${outputPath} (${response.data.length} bytes)`
-        );
+// Revision diffs
+// POST /diff compares an old and a new version of a manuscript with
+// latexdiff and compiles the marked-up document like any other job, for the
+// "changes" PDF journals ask for with a revision. `old` and `new` are each
+// { content, filename } or a project ({ files, archive, mainFile }); the
+// other compile fields (template, engine, bibliography, imageReferences,
+// limits, ...) apply to the diff, which is built among the files of the new
+// version. `diff` selects how changes are marked up:
+//   type      - latexdiff markup style, UNDERLINE by default
+//   flatten   - compare with \input/\include files inlined (default true)
+//   math      - off, whole, coarse (default) or fine
+//   citations - mark up changed citations (default true); false protects them
+const LATEXDIFF_COMMAND = process.env.LATEXDIFF_COMMAND || "latexdiff";
+const LATEXDIFF_TIMEOUT_MS =
+  (parseInt(process.env.LATEXDIFF_TIMEOUT_SECONDS, 10) || 120) * 1000;
+const DIFF_TYPES = [
+  "UNDERLINE",
+  "CTRADITIONAL",
+  "TRADITIONAL",
+  "CFONT",
+  "FONTSTRIKE",
+  "INVISIBLE",
+  "CHANGEBAR",
+  "CCHANGEBAR",
+  "CULINECHBAR",
+  "CFONTCHBAR",
+  "BOLD",
+  "PDFCOMMENT",
+];
+const DIFF_MATH_MARKUP = ["off", "whole", "coarse", "fine"];
 
-        return {
-          id,
-          key,
-          success: true,
-          path: outputPath,
-          size: response.data.length,
-        };
-      } catch (error) {
-        console.error(`Failed to process image ${id} (key: ${key}):`);
-        console.error(`  Error: ${error.message}`);
-
-        if (error.response) {
-          console.error(`  Status: ${error.response.status}`);
-          console.error(`  Headers: ${JSON.stringify(error.response.headers)}`);
-          // Log the first part of the response if it's text
-          if (error.response.data) {
-            try {
-              const preview = Buffer.isBuffer(error.response.data)
-                ? error.response.data.toString("utf8").substring(0, 200)
-                : JSON.stringify(error.response.data).substring(0, 200);
-              console.error(`  Response preview: ${preview}...`);
-            } catch (e) {
-              console.error("  Cannot preview response data");
-            }
-          }
-        } else if (error.request) {
-          console.error("  No response received from server");
-        }
+const isProjectVersion = (version) =>
+  version.files !== undefined ||
+  version.archive !== undefined ||
+  version.git !== undefined;
 
-        return { id, key, success: false, error: error.message };
+// Returns an error message if the diff request body is unusable
+function validateDiffRequest(body) {
+  const { old: oldVersion, new: newVersion, diff = {} } = body || {};
+  for (const [name, version] of [
+    ["old", oldVersion],
+    ["new", newVersion],
+  ]) {
+    if (!version || typeof version !== "object" || Array.isArray(version)) {
+      return `${name} must be an object`;
+    }
+    if (isProjectVersion(version)) {
+      const projectError = validateProjectRequest(version);
+      if (projectError) {
+        return `${name}: ${projectError}`;
       }
+    } else if (typeof version.content !== "string" || !version.filename) {
+      return `${name} needs content and filename, or files/archive/git`;
+    } else if (!normalizeProjectPath(version.filename)) {
+      return `${name}: Invalid filename: ${version.filename}`;
     }
-  );
-
-  // Wait for all downloads to complete
-  const results = await Promise.allSettled(processPromises);
-
-  // List all files in the images directory to verify
-  try {
-    const imageFiles = await fs.readdir(imagesDir);
-    console.log(`Images directory now contains: ${imageFiles.join(", ")}`);
-  } catch (err) {
-    console.error(`Error listing images directory: ${err.message}`);
   }
+  if (!diff || typeof diff !== "object" || Array.isArray(diff)) {
+    return "diff must be an object";
+  }
+  if (diff.type !== undefined && !DIFF_TYPES.includes(diff.type)) {
+    return `Unknown diff.type: ${diff.type}. Expected one of ${DIFF_TYPES.join(", ")}`;
+  }
+  if (diff.math !== undefined && !DIFF_MATH_MARKUP.includes(diff.math)) {
+    return `diff.math must be one of ${DIFF_MATH_MARKUP.join(", ")}`;
+  }
+  for (const option of ["flatten", "citations"]) {
+    if (diff[option] !== undefined && typeof diff[option] !== "boolean") {
+      return `diff.${option} must be a boolean`;
+    }
+  }
+  if (body.async !== undefined && typeof body.async !== "boolean") {
+    return "async must be a boolean";
+  }
+  // The marked-up document is compiled like the new version with the
+  // request's compile options, so refuse those before running latexdiff
+  const { old: _old, new: _new, diff: _diff, async: _async, ...options } = body;
+  return validateCompileRequest({ ...options, ...newVersion });
+}
 
-  // Summarize results
-  const successful = results.filter(
-    (r) => r.status === "fulfilled" && r.value.success
-  ).length;
-  const failed = results.filter(
-    (r) =>
-      r.status === "rejected" || (r.status === "fulfilled" && !r.value.success)
-  ).length;
+// Writes one version of the manuscript into dir, returning its main file and
+// the commit its git source resolved to
+async function materializeVersion(version, dir) {
+  await fs.mkdirp(dir);
+  if (!isProjectVersion(version)) {
+    const mainPath = resolveProjectPath(dir, version.filename);
+    await fs.mkdirp(path.dirname(mainPath));
+    await fs.writeFile(mainPath, version.content, "utf-8");
+    return { mainPath };
+  }
 
-  console.log(
-    `Image downloads completed: ${successful} successful, ${failed} failed`
+  let git;
+  if (version.archive) {
+    await extractArchive(version.archive, dir);
+  }
+  if (version.git) {
+    git = await resolveGitSource(version.git);
+    await exportGitTree(git, dir);
+  }
+  if (version.files) {
+    await writeProjectFiles(version.files, dir);
+  }
+  const mainPath = resolveProjectPath(
+    dir,
+    version.mainFile || (await detectMainFile(dir))
   );
-  return { successful, failed };
+  if (!(await fs.pathExists(mainPath))) {
+    throw new Error(`Main file not found in project: ${version.mainFile}`);
+  }
+  return { mainPath, git };
 }
 
-app.post("/compile", async (req, res) => {
-  console.log("\n===== NEW COMPILATION REQUEST =====");
-  console.log("Request received at:", new Date().toISOString());
-  console.log("Request IP:", req.ip);
-  console.log("Request headers:", JSON.stringify(req.headers, null, 2));
-
-  // Initialize all variables at the top level
-  let stdout1 = "",
-    stdout2 = "",
-    stdout3 = "";
-  let errors = [],
-    warnings = false;
-
-  try {
-    const { content, filename, bibliography, imageReferences } = req.body;
+// \input/\include targets that latexdiff --flatten would read from outside
+// the version's directory; relative names resolve against the main file
+async function findEscapingInputs(rootDir, mainPath) {
+  const root = path.resolve(rootDir) + path.sep;
+  const escaping = new Set();
+  const walk = async (dir) => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+        continue;
+      }
+      if (!entry.name.endsWith(".tex")) {
+        continue;
+      }
+      const source = stripTexComments(await fs.readFile(entryPath, "utf-8"));
+      for (const match of source.matchAll(TEX_INPUT_PATTERN)) {
+        const target = (match[2] ?? match[3]).trim();
+        if (!path.resolve(path.dirname(mainPath), target).startsWith(root)) {
+          escaping.add(target);
+        }
+      }
+    }
+  };
+  await walk(rootDir);
+  return [...escaping];
+}
 
-    // Log request details
-    console.log("Compile request details:");
-    console.log(`  Filename: ${filename}`);
-    console.log(`  Content length: ${content?.length || 0} characters`);
-    console.log(`  Has bibliography: ${!!bibliography}`);
-    console.log(
-      `  Image references: ${imageReferences ? Object.keys(imageReferences).length : 0}`
+// Runs latexdiff under the TeX sandbox, returning the marked-up document
+async function runLatexdiff(oldPath, newPath, options, cwd) {
+  const sandboxed = sandboxCommand(
+    LATEXDIFF_COMMAND,
+    [
+      `--type=${options.type || "UNDERLINE"}`,
+      `--math-markup=${options.math || "coarse"}`,
+      options.citations === false
+        ? "--disable-citation-markup"
+        : "--enable-citation-markup",
+      ...(options.flatten === false ? [] : ["--flatten"]),
+      oldPath,
+      newPath,
+    ],
+    cwd
+  );
+  await prepareSandbox(cwd);
+  const { code, stdout, stderr } = await runCommand(
+    sandboxed.command,
+    sandboxed.args,
+    {
+      cwd,
+      timeout: LATEXDIFF_TIMEOUT_MS,
+      env: sandboxEnvironment([], cwd),
+      ...TEX_SANDBOX_USER,
+    }
+  ).catch((error) => {
+    // spawn reports a missing latexdiff binary as ENOENT; under bwrap the
+    // spawned program is bwrap itself
+    if (error.code === "ENOENT" && sandboxed.command === LATEXDIFF_COMMAND) {
+      error.code = "LATEXDIFF_MISSING";
+    }
+    throw error;
+  });
+  if (code !== 0 || !stdout.trim()) {
+    throw new Error(
+      `latexdiff failed: ${stderr.trim() || `exit code ${code}`}`
     );
+  }
+  return stdout;
+}
 
-    // Print the first 500 characters of the content for debugging
-    if (content) {
-      console.log(`  Content preview: ${content.substring(0, 500)}...`);
+// The \DIFadd{...} and \DIFdel{...} groups (\DIFaddFL/\DIFdelFL in floats)
+function diffGroups(source) {
+  const groups = [];
+  const pattern = /\\DIF(add|del)(?:FL)?(?=\{)/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    const end = skipBraceGroup(source, pattern.lastIndex);
+    if (end === -1) {
+      break;
     }
+    groups.push({
+      type: match[1],
+      start: match.index,
+      end,
+      text: source.slice(pattern.lastIndex + 1, end - 1),
+    });
+    pattern.lastIndex = end;
+  }
+  return groups;
+}
 
-    // Log image reference keys
-    if (imageReferences) {
-      console.log(
-        `  Image reference keys: ${Object.keys(imageReferences).join(", ")}`
-      );
+// Plain text of a marked-up title without the groups of one side
+function diffTitle(source, dropType) {
+  let text = "";
+  let position = 0;
+  for (const group of diffGroups(source)) {
+    text += source.slice(position, group.start);
+    if (group.type !== dropType) {
+      text += group.text;
     }
+    position = group.end;
+  }
+  return (text + source.slice(position))
+    .replace(/\\[a-zA-Z]+\*?/g, " ")
+    .replace(/[{}]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
 
-    // Input validation checks
-    if (!content || !filename) {
-      console.error("Missing required fields:", {
-        content: !!content,
-        filename: !!filename,
-      });
-      return res.status(400).json({ error: "Missing required fields" });
+/**
+ * Lists the sections of a latexdiff document that contain changes
+ * @param {string} diffSource - latexdiff output
+ * @returns {Object} - { sections: [{ level, title, status, wordsAdded,
+ * wordsDeleted }], wordsAdded, wordsDeleted }; text before the first
+ * heading is reported with level "frontmatter"
+ */
+function summarizeDiff(diffSource) {
+  const bodyStart = diffSource.indexOf("\\begin{document}");
+  const body = bodyStart === -1 ? diffSource : diffSource.slice(bodyStart);
+  const headings = [{ level: "frontmatter", titleSource: null, start: 0 }];
+  const headingPattern =
+    /\\(part|chapter|section|subsection|subsubsection)\*?\s*(?:\[[^\]]*\]\s*)?(?=\{)/g;
+  let match;
+  while ((match = headingPattern.exec(body))) {
+    const titleEnd = skipBraceGroup(body, headingPattern.lastIndex);
+    if (titleEnd === -1) {
+      break;
     }
+    headings.push({
+      level: match[1],
+      titleSource: body.slice(headingPattern.lastIndex + 1, titleEnd - 1),
+      start: match.index,
+    });
+    headingPattern.lastIndex = titleEnd;
+  }
 
-    const absolutePath = path.resolve("/opt/latexfiles", filename);
-    const dirPath = path.dirname(absolutePath);
-    const baseFilename = path.basename(filename);
-
-    console.log("File paths:");
-    console.log(`  Absolute path: ${absolutePath}`);
-    console.log(`  Directory path: ${dirPath}`);
-    console.log(`  Base filename: ${baseFilename}`);
-
-    try {
-      // Create the directory structure
-      console.log(`Creating directory: ${dirPath}`);
-      await fs.mkdirp(dirPath);
-
-      // Write the LaTeX content to file
-      console.log(`Writing LaTeX file to: ${absolutePath}`);
-      await fs.writeFile(absolutePath, content, "utf-8");
-      console.log("LaTeX file written successfully");
-
-      // Check if the file was actually written
-      const stats = await fs.stat(absolutePath);
-      console.log(`LaTeX file stats: ${JSON.stringify(stats)}`);
-
-      // List directory contents for verification
-      const dirContents = await fs.readdir(dirPath);
-      console.log(
-        `Directory contents after writing LaTeX: ${dirContents.join(", ")}`
-      );
-
-      // Handle bibliography if present
-      if (bibliography?.content) {
-        const bibPath = path.join(dirPath, "references.bib");
-        console.log(`Writing bibliography to: ${bibPath}`);
-        await fs.writeFile(bibPath, bibliography.content, "utf-8");
-        console.log("Bibliography file written successfully");
+  const summary = { sections: [], wordsAdded: 0, wordsDeleted: 0 };
+  headings.forEach((heading, index) => {
+    const text = body.slice(heading.start, headings[index + 1]?.start);
+    let wordsAdded = 0;
+    let wordsDeleted = 0;
+    for (const group of diffGroups(text)) {
+      if (group.type === "add") {
+        wordsAdded += countWords(group.text);
+      } else {
+        wordsDeleted += countWords(group.text);
       }
+    }
+    if (wordsAdded === 0 && wordsDeleted === 0) {
+      return;
+    }
 
-      // Download images if present
-      if (imageReferences && Object.keys(imageReferences).length > 0) {
-        console.log(
-          `Processing ${Object.keys(imageReferences).length} image references`
-        );
-        const downloadResult = await downloadImages(imageReferences, dirPath);
-        console.log(
-          `Image download summary: ${JSON.stringify(downloadResult)}`
-        );
-
-        // Check images directory afterwards
-        const imagesDir = path.join(dirPath, "images");
-        if (await fs.pathExists(imagesDir)) {
-          const imageFiles = await fs.readdir(imagesDir);
-          console.log(`Images directory contains: ${imageFiles.join(", ")}`);
-        } else {
-          console.warn(`Images directory not created at ${imagesDir}`);
-        }
+    let status = "modified";
+    let title = null;
+    if (heading.titleSource !== null) {
+      const newTitle = diffTitle(heading.titleSource, "del");
+      const oldTitle = diffTitle(heading.titleSource, "add");
+      const marked = diffGroups(heading.titleSource);
+      if (marked.length > 0 && marked.every((group) => group.type === "add")) {
+        status = oldTitle ? "modified" : "added";
+      } else if (
+        marked.length > 0 &&
+        marked.every((group) => group.type === "del")
+      ) {
+        status = newTitle ? "modified" : "deleted";
       }
+      title = newTitle || oldTitle;
+    }
+    summary.sections.push({
+      level: heading.level,
+      title,
+      status,
+      wordsAdded,
+      wordsDeleted,
+    });
+    summary.wordsAdded += wordsAdded;
+    summary.wordsDeleted += wordsDeleted;
+  });
+  return summary;
+}
 
-      const lualatexOptions = [
-        "-file-line-error",
-        "-interaction=nonstopmode",
-        baseFilename,
+/**
+ * Runs latexdiff over the two versions of a diff request
+ * @param {Object} request - Diff request body
+ * @returns {Promise<Object>} - Summary of the changes and the compile
+ * request that builds the marked-up document
+ */
+async function prepareDiff(request) {
+  const {
+    old: oldVersion,
+    new: newVersion,
+    diff: options = {},
+    async: _async,
+    ...compileOptions
+  } = request;
+  await fs.mkdirp(WORKSPACE_ROOT);
+  const tempDir = await fs.mkdtemp(path.join(WORKSPACE_ROOT, "diff-"));
+  try {
+    const oldDir = path.join(tempDir, "old");
+    const newDir = path.join(tempDir, "new");
+    const { mainPath: oldPath } = await materializeVersion(oldVersion, oldDir);
+    const { mainPath: newPath, git } = await materializeVersion(
+      newVersion,
+      newDir
+    );
+    if (options.flatten !== false) {
+      const escaping = [
+        ...(await findEscapingInputs(oldDir, oldPath)),
+        ...(await findEscapingInputs(newDir, newPath)),
       ];
-      console.log("lualatex options:", lualatexOptions);
+      if (escaping.length > 0) {
+        throw new Error(
+          `Included files must be inside the project: ${escaping.join(", ")}`
+        );
+      }
+    }
 
-      // First lualatex run
-      console.log("Starting first lualatex run...");
-      const requestTimeout = 300000; // 5 minutes in milliseconds
+    const diffSource = await runLatexdiff(oldPath, newPath, options, tempDir);
+    const mainFile = path.relative(newDir, newPath).split(path.sep).join("/");
+    return {
+      changes: summarizeDiff(diffSource),
+      compileRequest: isProjectVersion(newVersion)
+        ? {
+            ...compileOptions,
+            files: { ...newVersion.files, [mainFile]: diffSource },
+            archive: newVersion.archive,
+            // The compile sees the tree latexdiff saw, even if the branch moves
+            git: git && { repository: git.repository, revision: git.commit },
+            mainFile,
+          }
+        : { ...compileOptions, filename: mainFile, content: diffSource },
+    };
+  } finally {
+    await fs.remove(tempDir);
+  }
+}
 
-      // First lualatex run
-      console.log("Starting first lualatex run...");
-      const lualatex1 = spawn("lualatex", lualatexOptions, { cwd: dirPath, timeout: requestTimeout });
-      let stderr1 = "";
+// Compare two versions and compile the marked-up document. Answers with the
+// PDF and the changed sections once the job is done, or right away with the
+// job when `async` is set.
+app.post("/diff", requireScope("compile"), async (req, res, next) => {
+  const validationError = validateDiffRequest(req.body);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
 
-      lualatex1.stdout.on("data", (data) => {
-        stdout1 += data.toString();
+  let prepared;
+  try {
+    const { missing } = await checkAssets([
+      ...collectAssetHashes(req.body.old),
+      ...collectAssetHashes(req.body.new),
+    ]);
+    if (missing.length > 0) {
+      return res.status(400).json({ error: "Missing assets", missing });
+    }
+    const quotaError = checkJobQuota(req.apiKey);
+    if (quotaError) {
+      return res.status(429).json({ error: quotaError });
+    }
+    prepared = await prepareDiff(req.body);
+  } catch (error) {
+    if (error.code === "LATEXDIFF_MISSING") {
+      return res.status(501).json({
+        error: "Revision diffs are not available",
+        details: `${LATEXDIFF_COMMAND} is not installed`,
       });
+    }
+    // Failed system calls are server faults, not problems with the versions
+    if (error.syscall) {
+      return next(error);
+    }
+    logger.warn("Diff failed", { error: error.message });
+    return res
+      .status(422)
+      .json({ error: "Diff failed", details: error.message });
+  }
+  const { changes, compileRequest } = prepared;
+  logger.info("Compared versions", {
+    sections: changes.sections.length,
+    wordsAdded: changes.wordsAdded,
+    wordsDeleted: changes.wordsDeleted,
+  });
 
-      lualatex1.on('error', (err) => {
-        if (err.code === 'ETIMEDOUT') {
-          console.error(`lualatex1 process timed out after ${requestTimeout / 1000} seconds.`);
-          errors.push(`Compilation timed out: lualatex1 process exceeded ${requestTimeout / 1000} seconds.`);
-        } else {
-          console.error(`lualatex1 process error: ${err.message}`);
-          errors.push(`lualatex1 process error: ${err.message}`);
-        }
-      });
+  try {
+    const job = await admitCompileJob(req, res, compileRequest);
+    if (!job) {
+      return;
+    }
+    if (req.body.async) {
+      return res
+        .status(202)
+        .location(`/jobs/${job.id}`)
+        .json({ changes, job: serializeJob(job) });
+    }
 
-      lualatex1.stderr.on("data", (data) => {
-        stderr1 += data.toString();
-        console.error("lualatex1 stderr:", data.toString());
+    await job.finished;
+    if (job.status !== "done") {
+      const status =
+        job.status === "cancelled" ? 409 : job.limitExceeded ? 422 : 500;
+      return res.status(status).json({
+        error: "Diff compilation failed",
+        details: job.error,
+        limit: job.limitExceeded,
+        jobId: job.id,
+        changes,
+        ...job.result,
       });
+    }
 
-      await new Promise((resolve) =>
-        lualatex1.on("close", (code) => {
-          console.log("First lualatex run completed with code:", code);
-          resolve();
-        })
-      );
+    const pdfBuffer = await fs.readFile(job.result.pdfPath);
+    res.json({
+      success: true,
+      jobId: job.id,
+      pdf: pdfBuffer.toString("base64"),
+      changes,
+      diagnostics: job.result.diagnostics,
+      summary: job.result.summary,
+      errors: job.result.errors,
+      warnings: job.result.warnings,
+      links: serializeJob(job).links,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      // Run bibtex if bibliography exists
-      let bibtexOutput = "";
-      if (bibliography?.content) {
-        console.log("Starting bibtex run...");
-        const bibtex = spawn("bibtex", [baseFilename.replace(".tex", "")], {
-          cwd: dirPath,
-        });
+// LaTeX log analysis
+// Turns .log and .blg files into structured diagnostics of the form
+//   { severity, category, file, line, message, context, excerpt }
+// severity is "error", "warning" or "info". category is one of tex,
+// latex, package, class, missing-file, reference, citation, font, box,
+// bibtex, biber or process.
+const LOG_LINE_WIDTH = 79; // TeX's default max_print_line
+const EXCERPT_RADIUS = 2;
+const INPUT_FILE_PATTERN =
+  /^(?:\.{1,2}\/|\/)|\.(?:tex|sty|cls|cfg|def|clo|fd|aux|bbl|toc|lof|lot|out|ltx|ldf|tikz)$/;
 
-        bibtex.stdout.on("data", (data) => {
-          bibtexOutput += data.toString();
-        });
+// Undo TeX's hard wrapping of long log lines
+function unwrapLogLines(logContent) {
+  const lines = [];
+  let pending = "";
+  for (const line of logContent.split(/\r?\n/)) {
+    pending += line;
+    if (line.length !== LOG_LINE_WIDTH) {
+      lines.push(pending);
+      pending = "";
+    }
+  }
+  if (pending) {
+    lines.push(pending);
+  }
+  return lines;
+}
 
-        bibtex.stderr.on("data", (data) => {
-          console.error("bibtex stderr:", data.toString());
-        });
+// Follows the "(file ... )" nesting TeX prints while it reads input files
+function updateFileStack(line, fileStack) {
+  const tokenRegex = /\((?:"([^"]+)"|([^\s()]*))|\)/g;
+  let match;
+  while ((match = tokenRegex.exec(line)) !== null) {
+    if (match[0] === ")") {
+      fileStack.pop();
+      continue;
+    }
+    const candidate = match[1] || match[2];
+    fileStack.push(INPUT_FILE_PATTERN.test(candidate) ? candidate : null);
+  }
+}
 
-        await new Promise((resolve) =>
-          bibtex.on("close", (code) => {
-            console.log("BibTeX run completed with code:", code);
-            resolve();
-          })
-        );
-      }
+function currentFile(fileStack) {
+  for (let i = fileStack.length - 1; i >= 0; i--) {
+    if (fileStack[i]) {
+      return fileStack[i];
+    }
+  }
+  return null;
+}
 
-      // Second lualatex run
-      console.log("Starting second lualatex run...");
-      const lualatex2 = spawn("lualatex", lualatexOptions, { cwd: dirPath, timeout: requestTimeout });
-      let stderr2 = "";
+// Makes log paths relative to the compile directory where possible
+function cleanLogPath(filePath, sourceDir) {
+  if (!filePath) {
+    return null;
+  }
+  if (sourceDir && filePath.startsWith(sourceDir + path.sep)) {
+    filePath = filePath.slice(sourceDir.length + 1);
+  }
+  return filePath.replace(/^\.\//, "");
+}
 
-      lualatex2.stdout.on("data", (data) => {
-        stdout2 += data.toString();
-      });
+function classifyLatexError(message) {
+  if (
+    /File `[^']+' not found/.test(message) ||
+    /I can't find file/.test(message)
+  ) {
+    return "missing-file";
+  }
+  if (/^Package [\w.-]+ Error/.test(message)) {
+    return "package";
+  }
+  if (/^Class [\w.-]+ Error/.test(message)) {
+    return "class";
+  }
+  if (/^LaTeX Error/.test(message)) {
+    return "latex";
+  }
+  return "tex";
+}
 
-      lualatex2.on('error', (err) => {
-        if (err.code === 'ETIMEDOUT') {
-          console.error(`lualatex2 process timed out after ${requestTimeout / 1000} seconds.`);
-          errors.push(`Compilation timed out: lualatex2 process exceeded ${requestTimeout / 1000} seconds.`);
-        } else {
-          console.error(`lualatex2 process error: ${err.message}`);
-          errors.push(`lualatex2 process error: ${err.message}`);
-        }
-      });
+function classifyLatexWarning(message) {
+  if (/^Reference `|undefined references|multiply[- ]defined/.test(message)) {
+    return "reference";
+  }
+  if (/^Citation `|undefined citations/.test(message)) {
+    return "citation";
+  }
+  return "latex";
+}
 
-      lualatex2.stderr.on("data", (data) => {
-        stderr2 += data.toString();
-        console.error("lualatex2 stderr:", data.toString());
-      });
+const inputLineOf = (message) => {
+  const match = message.match(/on input line (\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+};
 
-      await new Promise((resolve) =>
-        lualatex2.on("close", (code) => {
-          console.log("Second lualatex run completed with code:", code);
-          resolve();
-        })
-      );
+/**
+ * Parses a TeX engine log into structured diagnostics
+ * @param {string} logContent - Contents of the .log file (or engine stdout)
+ * @param {string} sourceDir - Directory the document was compiled in
+ * @returns {Object[]} - Diagnostics in log order
+ */
+function analyzeLatexLog(logContent, sourceDir) {
+  const lines = unwrapLogLines(logContent);
+  const diagnostics = [];
+  const fileStack = [];
 
-      // Third lualatex run
-      console.log("Starting third lualatex run...");
-      const lualatex3 = spawn("lualatex", lualatexOptions, { cwd: dirPath, timeout: requestTimeout });
-      let stderr3 = "";
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
 
-      lualatex3.stdout.on("data", (data) => {
-        stdout3 += data.toString();
+    // Errors, with -file-line-error ("./main.tex:12: ...") or without ("! ...")
+    const fileLineError = line.match(/^(.*?\.\w+):(\d+): (.*)$/);
+    if (fileLineError || line.startsWith("! ")) {
+      const message = fileLineError ? fileLineError[3] : line.slice(2);
+      let sourceLine = fileLineError ? parseInt(fileLineError[2], 10) : null;
+      const context = [];
+      let end = i;
+      for (let j = i + 1; j < lines.length && j <= i + 12; j++) {
+        context.push(lines[j]);
+        const lineNumber = lines[j].match(/^l\.(\d+)/);
+        if (lineNumber) {
+          sourceLine = sourceLine || parseInt(lineNumber[1], 10);
+          end = j;
+          break;
+        }
+      }
+
+      diagnostics.push({
+        severity: "error",
+        category: classifyLatexError(message),
+        file: cleanLogPath(
+          fileLineError ? fileLineError[1] : currentFile(fileStack),
+          sourceDir
+        ),
+        line: sourceLine,
+        message: message.trim(),
+        context: end > i ? context.join("\n") : null,
       });
+      i = end;
+      continue;
+    }
 
-      lualatex3.on('error', (err) => {
-        if (err.code === 'ETIMEDOUT') {
-          console.error(`lualatex3 process timed out after ${requestTimeout / 1000} seconds.`);
-          errors.push(`Compilation timed out: lualatex3 process exceeded ${requestTimeout / 1000} seconds.`);
-        } else {
-          console.error(`lualatex3 process error: ${err.message}`);
-          errors.push(`lualatex3 process error: ${err.message}`);
+    if ((match = line.match(/^(Package|Class) ([\w.-]+) Warning: (.*)$/))) {
+      const continuation = `(${match[2]})`;
+      let message = match[3];
+      while (i + 1 < lines.length && lines[i + 1].startsWith(continuation)) {
+        i++;
+        message += " " + lines[i].slice(continuation.length).trim();
+      }
+      diagnostics.push({
+        severity: "warning",
+        category: match[1].toLowerCase(),
+        source: match[2],
+        file: cleanLogPath(currentFile(fileStack), sourceDir),
+        line: inputLineOf(message),
+        message: message.trim(),
+      });
+    } else if ((match = line.match(/^LaTeX (Font )?Warning: (.*)$/))) {
+      // Font warnings continue on "(Font)" lines, the others up to a blank line
+      const isFontWarning = !!match[1];
+      let message = match[2];
+      for (let extra = 0; extra < 4 && i + 1 < lines.length; extra++) {
+        const next = lines[i + 1];
+        if (
+          isFontWarning
+            ? !next.startsWith("(Font)")
+            : !next.trim() || /^(?:[!()]|LaTeX |Package |Class )/.test(next)
+        ) {
+          break;
         }
+        i++;
+        message += " " + next.replace(/^\(Font\)/, "").trim();
+      }
+      diagnostics.push({
+        severity: "warning",
+        category: isFontWarning ? "font" : classifyLatexWarning(message),
+        file: cleanLogPath(currentFile(fileStack), sourceDir),
+        line: inputLineOf(message),
+        message: message.trim(),
       });
-
-      lualatex3.stderr.on("data", (data) => {
-        stderr3 += data.toString();
-        console.error("lualatex3 stderr:", data.toString());
+    } else if (
+      (match = line.match(/^(Overfull|Underfull) \\([hv]box) (.*)$/))
+    ) {
+      const lineMatch = match[3].match(/lines? (\d+)/);
+      diagnostics.push({
+        severity: match[1] === "Overfull" ? "warning" : "info",
+        category: "box",
+        file: cleanLogPath(currentFile(fileStack), sourceDir),
+        line: lineMatch ? parseInt(lineMatch[1], 10) : null,
+        message: line.trim(),
+      });
+    } else if ((match = line.match(/^No file (.+)\.$/))) {
+      diagnostics.push({
+        severity: "info",
+        category: "missing-file",
+        file: cleanLogPath(match[1], sourceDir),
+        line: null,
+        message: line.trim(),
+      });
+    } else if (/^Missing character: There is no/.test(line)) {
+      diagnostics.push({
+        severity: "warning",
+        category: "font",
+        file: cleanLogPath(currentFile(fileStack), sourceDir),
+        line: null,
+        message: line.trim(),
       });
+    }
 
-      await new Promise((resolve) =>
-        lualatex3.on("close", (code) => {
-          console.log("Third lualatex run completed with code:", code);
-          resolve();
-        })
-      );
+    updateFileStack(line, fileStack);
+  }
 
-      // After successful compilation, clean up downloaded images to save space
-      if (imageReferences && Object.keys(imageReferences).length > 0) {
-        try {
-          const imagesDir = path.join(dirPath, "images");
-          // Only remove the images directory if PDF was successfully generated
-          const pdfPath = path.join(
-            dirPath,
-            baseFilename.replace(".tex", ".pdf")
-          );
-          if (
-            (await fs.pathExists(pdfPath)) &&
-            (await fs.pathExists(imagesDir))
-          ) {
-            await fs.remove(imagesDir);
-            console.log(`Cleaned up images directory: ${imagesDir}`);
-          }
-        } catch (cleanupError) {
-          console.warn(`Error cleaning up images: ${cleanupError.message}`);
-          // Don't fail the request due to cleanup errors
-        }
-      }
+  return diagnostics;
+}
 
-      // Check if PDF exists and try to read it
-      try {
-        const pdfPath = path.join(
-          dirPath,
-          baseFilename.replace(".tex", ".pdf")
-        );
-        console.log("Attempting to read PDF from:", pdfPath);
+/**
+ * Parses a BibTeX .blg file into structured diagnostics
+ * @param {string} blgContent - Contents of the .blg file
+ * @returns {Object[]} - Diagnostics in log order
+ */
+function analyzeBibtexLog(blgContent) {
+  const lines = blgContent.split(/\r?\n/);
+  const diagnostics = [];
 
-        // Check if file exists before reading
-        const pdfExists = await fs.pathExists(pdfPath);
-        console.log(`PDF file exists: ${pdfExists}`);
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
 
-        if (!pdfExists) {
-          throw new Error("PDF file not found at expected path");
-        }
+    if ((match = line.match(/^Warning--(.*)$/))) {
+      const location = (lines[i + 1] || "").match(
+        /^--line (\d+) of file (.+)$/
+      );
+      diagnostics.push({
+        severity: "warning",
+        category: "bibtex",
+        file: location ? location[2] : null,
+        line: location ? parseInt(location[1], 10) : null,
+        message: match[1].trim(),
+      });
+      if (location) {
+        i++;
+      }
+    } else if ((match = line.match(/^(.*)---line (\d+) of file (.+)$/))) {
+      diagnostics.push({
+        severity: "error",
+        category: "bibtex",
+        file: match[3].trim(),
+        line: parseInt(match[2], 10),
+        message: match[1].trim(),
+      });
+    } else if (
+      (match = line.match(/^I couldn't open (?:database|style) file (.+)$/))
+    ) {
+      diagnostics.push({
+        severity: "error",
+        category: "missing-file",
+        file: match[1].trim(),
+        line: null,
+        message: line.trim(),
+      });
+    } else if (
+      (match = line.match(/^(I found no .*?)---while reading file (.+)$/))
+    ) {
+      diagnostics.push({
+        severity: "error",
+        category: "bibtex",
+        file: match[2].trim(),
+        line: null,
+        message: match[1].trim(),
+      });
+    }
+  }
 
-        const pdfBuffer = await fs.readFile(pdfPath);
-        console.log("PDF file read successfully, size:", pdfBuffer.length);
-        const pdfBase64 = pdfBuffer.toString("base64");
+  return diagnostics;
+}
 
-        // Extract any errors/warnings from the output
-        const logPath = path.join(
-          dirPath,
-          baseFilename.replace(".tex", ".log")
-        );
-        console.log("Reading log file from:", logPath);
-        const logContent = await fs.readFile(logPath, "utf-8");
-        const errors = parseLatexErrors(logContent);
-        console.log("Parsed LaTeX errors:", errors);
+/**
+ * Parses a biber .blg file into structured diagnostics
+ * @param {string} blgContent - Contents of the .blg file
+ * @returns {Object[]} - Diagnostics in log order
+ */
+function analyzeBiberLog(blgContent) {
+  const diagnostics = [];
+  const messageRegex = /^\[\d+\] [\w.]+:\d+> (WARN|ERROR) - (.*)$/gm;
+  let match;
 
-        // If we have a PDF, return it along with any warnings
-        return res.status(200).json({
-          success: true,
-          pdf: pdfBase64,
-          output: formatLatexOutput(stdout1 + stdout2 + stdout3),
-          errors: errors,
-          warnings: errors.length > 0,
-        });
-      } catch (pdfError) {
-        console.error("Failed to read PDF:", pdfError);
-        console.error("Error stack:", pdfError.stack);
+  while ((match = messageRegex.exec(blgContent)) !== null) {
+    const fileMatch = match[2].match(/\(([^()]+\.bib)\)/);
+    const lineMatch = match[2].match(/line (\d+)/);
+    diagnostics.push({
+      severity: match[1] === "ERROR" ? "error" : "warning",
+      category: "biber",
+      file: fileMatch ? fileMatch[1] : null,
+      line: lineMatch ? parseInt(lineMatch[1], 10) : null,
+      message: match[2].trim(),
+    });
+  }
 
-        // List directory contents to help debug
-        try {
-          const dirContents = await fs.readdir(dirPath);
-          console.log("Directory contents:", dirContents);
+  return diagnostics;
+}
 
-          // Check for log file
-          const logPath = path.join(
-            dirPath,
-            baseFilename.replace(".tex", ".log")
-          );
-          if (await fs.pathExists(logPath)) {
-            const logTail = await fs.readFile(logPath, "utf8");
-            console.log("Last 1000 characters of log:", logTail.slice(-1000));
-          }
-        } catch (listError) {
-          console.error("Error listing directory:", listError);
-        }
+/**
+ * Adds the offending source lines to diagnostics that point into the project
+ * @param {Object[]} diagnostics - Diagnostics to annotate in place
+ * @param {string} sourceDir - Directory the document was compiled in
+ */
+async function addSourceExcerpts(diagnostics, sourceDir) {
+  const sources = new Map();
 
-        throw new Error(
-          `No PDF was generated. Directory contents: ${(await fs.readdir(dirPath)).join(", ")}`
-        );
-      }
-    } catch (error) {
-      console.error("Compilation error:", error);
-      console.error("Error stack:", error.stack);
-      // Try to parse errors from available stdout if possible
+  for (const diagnostic of diagnostics) {
+    if (
+      !diagnostic.file ||
+      !diagnostic.line ||
+      !normalizeProjectPath(diagnostic.file)
+    ) {
+      continue;
+    }
+
+    if (!sources.has(diagnostic.file)) {
+      let sourceLines = null;
       try {
-        const combinedOutput = stdout1 + stdout2 + stdout3;
-        errors = parseLatexErrors(combinedOutput);
-        warnings = errors.some((e) => e.type === "Warning");
-      } catch (parseError) {
-        console.error("Error parsing LaTeX output:", parseError);
+        const sourcePath = resolveProjectPath(sourceDir, diagnostic.file);
+        if (await fs.pathExists(sourcePath)) {
+          sourceLines = (await fs.readFile(sourcePath, "utf-8")).split(/\r?\n/);
+        }
+      } catch (error) {
+        // Files outside the compile directory are never excerpted
       }
+      sources.set(diagnostic.file, sourceLines);
+    }
 
-      res.status(500).json({
-        error: "PDF compilation failed",
-        details: error.message,
-        output: formatLatexOutput(
-          stdout1 + stdout2 + stdout3 || "No compilation output available"
-        ),
-        errors: errors,
-        warnings: warnings,
-      });
+    const sourceLines = sources.get(diagnostic.file);
+    if (!sourceLines || diagnostic.line > sourceLines.length) {
+      continue;
     }
-  } catch (error) {
-    console.error("Top-level error:", error);
-    console.error("Error stack:", error.stack);
-    // Try to parse errors from available stdout if possible
-    try {
-      const combinedOutput = stdout1 + stdout2 + stdout3;
-      errors = parseLatexErrors(combinedOutput);
-      warnings = errors.some((e) => e.type === "Warning");
-    } catch (parseError) {
-      console.error("Error parsing LaTeX output:", parseError);
+    const first = Math.max(1, diagnostic.line - EXCERPT_RADIUS);
+    const last = Math.min(sourceLines.length, diagnostic.line + EXCERPT_RADIUS);
+    diagnostic.excerpt = [];
+    for (let line = first; line <= last; line++) {
+      diagnostic.excerpt.push({ line, text: sourceLines[line - 1] });
     }
-
-    res.status(500).json({
-      error: "Server error",
-      details: error.message,
-      output: formatLatexOutput(
-        stdout1 + stdout2 + stdout3 || "No compilation output available"
-      ),
-      errors: errors,
-      warnings: warnings,
-    });
-  } finally {
-    console.log("===== COMPILATION REQUEST COMPLETED =====\n");
   }
-});
+}
 
-// Helper function to parse LaTeX errors from log file
-const parseLatexErrors = (logContent) => {
-  const errors = [];
-  let match;
+/**
+ * Collects diagnostics from the engine log, the BibTeX/biber log and process failures
+ * @param {string} dirPath - Directory the document was compiled in
+ * @param {string} jobname - Main file name without extension
+ * @param {string[]} processErrors - Spawn errors and timeouts of the build
+ * @param {Object[]} violations - Sandbox violations of the build
+ * @returns {Promise<Object[]>} - All diagnostics, process failures and sandbox violations first
+ */
+async function collectDiagnostics(
+  dirPath,
+  jobname,
+  processErrors,
+  violations = []
+) {
+  const diagnostics = processErrors.map((message) => ({
+    severity: "error",
+    category: "process",
+    file: null,
+    line: null,
+    message,
+  }));
+  diagnostics.push(...sandboxDiagnostics(violations));
 
-  // Parse LaTeX errors
-  const errorRegex = /^(?:.|[\r\n])*?(?:!\s.*\n|.*?:\d+:\s.*\n)/gm;
-  while ((match = errorRegex.exec(logContent)) !== null) {
-    const errorText = match[0].trim();
-    const lineMatch = errorText.match(/:(\d+):/);
-    errors.push({
-      type: "Error",
-      line: lineMatch ? parseInt(lineMatch[1], 10) : null,
-      details: errorText.replace(/^!?\s*/, ""),
-      context: match[0],
-    });
+  const logPath = path.join(dirPath, `${jobname}.log`);
+  if (await fs.pathExists(logPath)) {
+    diagnostics.push(
+      ...analyzeLatexLog(await fs.readFile(logPath, "utf-8"), dirPath)
+    );
   }
 
-  // Parse LaTeX warnings
-  const warningRegex =
-    /LaTeX Warning:(.*?)(?:\son\sline\s(\d+)|(?=\n\n|\n[^\\]))/gs;
-  while ((match = warningRegex.exec(logContent)) !== null) {
-    errors.push({
-      type: "Warning",
-      line: match[2] ? parseInt(match[2], 10) : null,
-      details: match[1].trim().replace(/\n\s*/g, " "),
-      context: match[0],
-    });
+  const blgPath = path.join(dirPath, `${jobname}.blg`);
+  if (await fs.pathExists(blgPath)) {
+    const blgContent = await fs.readFile(blgPath, "utf-8");
+    diagnostics.push(
+      ...(/biber/i.test(blgContent.split("\n", 1)[0])
+        ? analyzeBiberLog(blgContent)
+        : analyzeBibtexLog(blgContent))
+    );
   }
 
-  return errors;
-};
+  await addSourceExcerpts(diagnostics, dirPath);
+  return diagnostics;
+}
+
+// Counts diagnostics per severity
+function summarizeDiagnostics(diagnostics) {
+  const summary = { errors: 0, warnings: 0, info: 0 };
+  for (const diagnostic of diagnostics) {
+    if (diagnostic.severity === "error") {
+      summary.errors++;
+    } else if (diagnostic.severity === "warning") {
+      summary.warnings++;
+    } else {
+      summary.info++;
+    }
+  }
+  return summary;
+}
+
+// Response fields shared by successful and failed compiles
+function diagnosticsResult(diagnostics) {
+  const summary = summarizeDiagnostics(diagnostics);
+  return {
+    diagnostics,
+    summary,
+    errors: diagnostics.filter((diagnostic) => diagnostic.severity === "error"),
+    warnings: summary.warnings > 0,
+  };
+}
 
 // Error handling middleware to catch unhandled errors
 app.use((err, req, res, next) => {
-  console.error("Unhandled error in Express:", err);
-  console.error("Error stack:", err.stack);
+  logger.error("Unhandled error", { error: err });
 
   if (!res.headersSent) {
     res.status(500).json({
@@ -694,16 +8806,16 @@ app.use((err, req, res, next) => {
 
 // Add graceful shutdown to log errors
 process.on("uncaughtException", (err) => {
-  console.error("Uncaught exception:", err);
-  console.error(err.stack);
+  logger.error("Uncaught exception", { error: err });
   // Keep the process running, but log the error
 });
 
-process.on("unhandledRejection", (reason, promise) => {
-  console.error("Unhandled Rejection at:", promise);
-  console.error("Reason:", reason);
+process.on("unhandledRejection", (reason) => {
+  logger.error("Unhandled rejection", { error: reason });
   // Keep the process running, but log the error
 });
 
 const PORT = process.env.PORT || 3002;
-app.listen(PORT, () => console.log(`LaTeX service running on port ${PORT}`));
+app.listen(PORT, () =>
+  logger.info("LaTeX service running", { port: PORT, logLevel: LOG_LEVEL })
+);